@@ -0,0 +1,192 @@
+// Researcher dashboard: study progress table backed by /api/admin/summary
+
+const authToken = sessionStorage.getItem('authToken');
+const authExpiresAt = Number(sessionStorage.getItem('authExpiresAt') || 0);
+if (!authToken || authExpiresAt <= Date.now()) {
+  sessionStorage.clear();
+  window.location.href = 'login.html';
+}
+
+const filterForm = document.getElementById('filterForm');
+const conditionFilter = document.getElementById('conditionFilter');
+const fromFilter = document.getElementById('fromFilter');
+const toFilter = document.getElementById('toFilter');
+const csvButton = document.getElementById('csvBtn');
+const totalsContainer = document.getElementById('totals');
+const summaryRows = document.getElementById('summaryRows');
+const statusMessage = document.getElementById('statusMessage');
+
+function filterQuery() {
+  const params = new URLSearchParams();
+  if (conditionFilter.value) params.set('condition', conditionFilter.value);
+  if (fromFilter.value) params.set('from', fromFilter.value);
+  if (toFilter.value) params.set('to', toFilter.value);
+  return params.toString();
+}
+
+async function adminFetch(path) {
+  const response = await fetch(path, {
+    headers: { 'Authorization': `Bearer ${authToken}` }
+  });
+
+  if (response.status === 401) {
+    sessionStorage.clear();
+    window.location.href = 'login.html';
+    throw new Error('Session expired');
+  }
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.error || `Request failed (${response.status})`);
+  }
+  return response;
+}
+
+function showStatus(text, isError = false) {
+  statusMessage.textContent = text;
+  statusMessage.classList.toggle('error', isError);
+  statusMessage.hidden = !text;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function formatDuration(seconds) {
+  if (!seconds) return '—';
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function formatMs(ms) {
+  return ms === null || ms === undefined ? '—' : `${ms} ms`;
+}
+
+function renderConditionOptions(conditions) {
+  if (conditionFilter.options.length > 1) return;
+  for (const id of conditions) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = id;
+    conditionFilter.appendChild(option);
+  }
+}
+
+function renderTotals(totals) {
+  const cards = [
+    ['Participants', totals.participants],
+    ['Conversations', totals.conversations],
+    ['Messages', totals.messages],
+    ['Interruptions', totals.interruptions]
+  ];
+  for (const [id, entry] of Object.entries(totals.by_condition)) {
+    cards.push([`Condition ${id}`, `${entry.participants} / ${entry.conversations}`]);
+    if (entry.first_audio_ms) {
+      cards.push([`Condition ${id} median first audio`, formatMs(entry.first_audio_ms.median)]);
+    }
+  }
+
+  totalsContainer.replaceChildren(...cards.map(([label, value]) => {
+    const card = document.createElement('div');
+    card.className = 'total-card';
+    const valueEl = document.createElement('div');
+    valueEl.className = 'value';
+    valueEl.textContent = value;
+    const labelEl = document.createElement('div');
+    labelEl.className = 'label';
+    labelEl.textContent = label;
+    card.append(valueEl, labelEl);
+    return card;
+  }));
+}
+
+function renderRows(rows) {
+  summaryRows.replaceChildren(...rows.map(row => {
+    const tr = document.createElement('tr');
+    const notStarted = row.conversation_id === undefined || row.conversation_id === null;
+    if (notStarted) tr.className = 'not-started';
+
+    const cells = [
+      [row.username],
+      [row.condition || '—'],
+      [row.locale || '—'],
+      [notStarted ? 'Not started' : row.conversation_id],
+      [formatDate(row.started_at)],
+      [formatDate(row.last_activity)],
+      [formatDuration(row.duration_seconds), true],
+      [row.total_messages, true],
+      [row.user_messages, true],
+      [row.assistant_messages, true],
+      [row.interruptions, true],
+      [formatMs(row.median_response_latency_ms), true],
+      [formatMs(row.median_first_audio_ms), true],
+      [formatDuration(row.user_speaking_seconds), true],
+      [formatDuration(row.assistant_audio_seconds), true]
+    ];
+    for (const [value, isNumber] of cells) {
+      const td = document.createElement('td');
+      td.textContent = value;
+      if (isNumber) td.className = 'number';
+      tr.appendChild(td);
+    }
+    return tr;
+  }));
+}
+
+async function loadSummary() {
+  showStatus('Loading…');
+  try {
+    const response = await adminFetch(`/api/admin/summary?${filterQuery()}`);
+    const summary = await response.json();
+    renderConditionOptions(summary.conditions);
+    renderTotals(summary.totals);
+    renderRows(summary.rows);
+    showStatus(summary.rows.length === 0 ? 'No participants match these filters.' : '');
+  } catch (err) {
+    console.error('Failed to load summary:', err);
+    summaryRows.replaceChildren();
+    totalsContainer.replaceChildren();
+    showStatus(err.message, true);
+  }
+}
+
+async function downloadCsv() {
+  try {
+    const response = await adminFetch(`/api/admin/summary.csv?${filterQuery()}`);
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : 'study_summary.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    console.error('CSV export failed:', err);
+    alert(`Could not export CSV: ${err.message}`);
+  }
+}
+
+filterForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadSummary();
+});
+
+csvButton.addEventListener('click', downloadCsv);
+
+document.getElementById('logoutBtn').addEventListener('click', async () => {
+  try {
+    await fetch('/api/logout', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+  } catch (err) {
+    console.error('Logout request failed:', err);
+  }
+  sessionStorage.clear();
+  window.location.href = 'login.html';
+});
+
+loadSummary();
@@ -0,0 +1,119 @@
+// Client side of the audio codec negotiation (see lib/codecs.js). The start
+// message lists AudioCodecs.supported() in order of preference and the server
+// answers with one name in connection_ready; AudioCodecs.create() then wraps
+// it with the same interface for both codecs:
+//   encode(Int16Array)  -> onEncoded(ArrayBuffer) per frame to send
+//   decode(ArrayBuffer) -> onDecoded(Float32Array) per frame to play
+//   resetPlayback() drops frames still being decoded after an interruption
+// Opus uses WebCodecs, so browsers without it stay on PCM16.
+
+const AudioCodecs = (() => {
+  const SAMPLE_RATE = 24000;
+  const OPUS_CONFIG = { codec: 'opus', sampleRate: SAMPLE_RATE, numberOfChannels: 1 };
+  const OPUS_ENCODER_CONFIG = { ...OPUS_CONFIG, bitrate: 24000, opus: { frameDuration: 20000 } };
+
+  async function supportsOpus() {
+    if (typeof AudioEncoder === 'undefined' || typeof AudioDecoder === 'undefined') return false;
+    try {
+      const [encoder, decoder] = await Promise.all([
+        AudioEncoder.isConfigSupported(OPUS_ENCODER_CONFIG),
+        AudioDecoder.isConfigSupported(OPUS_CONFIG)
+      ]);
+      return encoder.supported && decoder.supported;
+    } catch (err) {
+      console.warn('⚠️ Opus support check failed:', err);
+      return false;
+    }
+  }
+
+  async function supported() {
+    return (await supportsOpus()) ? ['opus', 'pcm16'] : ['pcm16'];
+  }
+
+  function pcm16ToFloat32(pcm16Array) {
+    const float32Array = new Float32Array(pcm16Array.length);
+    for (let i = 0; i < pcm16Array.length; i++) {
+      float32Array[i] = pcm16Array[i] / 32768.0;
+    }
+    return float32Array;
+  }
+
+  // PCM16 is little-endian, as is every platform browsers run on, so the
+  // bytes can be viewed as samples directly
+  function createPcm16({ onEncoded, onDecoded }) {
+    return {
+      name: 'pcm16',
+      encode: (pcm16Array) => onEncoded(pcm16Array.buffer),
+      decode: (buffer) => onDecoded(pcm16ToFloat32(new Int16Array(buffer, 0, buffer.byteLength >> 1))),
+      resetPlayback() {},
+      close() {}
+    };
+  }
+
+  function createOpus({ onEncoded, onDecoded }) {
+    // Timestamps only need to increase; they are not sent
+    let inputTimestamp = 0;
+    let outputTimestamp = 0;
+
+    const encoder = new AudioEncoder({
+      output: (chunk) => {
+        const packet = new ArrayBuffer(chunk.byteLength);
+        chunk.copyTo(packet);
+        onEncoded(packet);
+      },
+      error: (err) => console.error('Opus encoder error:', err)
+    });
+    encoder.configure(OPUS_ENCODER_CONFIG);
+
+    const decoderInit = {
+      output: (audioData) => {
+        const samples = new Float32Array(audioData.numberOfFrames);
+        audioData.copyTo(samples, { planeIndex: 0, format: 'f32-planar' });
+        audioData.close();
+        onDecoded(samples);
+      },
+      error: (err) => console.error('Opus decoder error:', err)
+    };
+    let decoder = new AudioDecoder(decoderInit);
+    decoder.configure(OPUS_CONFIG);
+
+    function encode(pcm16Array) {
+      const audioData = new AudioData({
+        format: 's16',
+        sampleRate: SAMPLE_RATE,
+        numberOfChannels: 1,
+        numberOfFrames: pcm16Array.length,
+        timestamp: inputTimestamp,
+        data: pcm16Array
+      });
+      inputTimestamp += Math.round(pcm16Array.length / SAMPLE_RATE * 1e6);
+      encoder.encode(audioData);
+      audioData.close();
+    }
+
+    function decode(buffer) {
+      decoder.decode(new EncodedAudioChunk({ type: 'key', timestamp: outputTimestamp, data: buffer }));
+      outputTimestamp += 20000;
+    }
+
+    function resetPlayback() {
+      if (decoder.state === 'closed') return;
+      decoder.close();
+      decoder = new AudioDecoder(decoderInit);
+      decoder.configure(OPUS_CONFIG);
+    }
+
+    function close() {
+      if (encoder.state !== 'closed') encoder.close();
+      if (decoder.state !== 'closed') decoder.close();
+    }
+
+    return { name: 'opus', encode, decode, resetPlayback, close };
+  }
+
+  function create(name, callbacks) {
+    return name === 'opus' ? createOpus(callbacks) : createPcm16(callbacks);
+  }
+
+  return { supported, create };
+})();
@@ -0,0 +1,131 @@
+// Microphone capture on the audio rendering thread: resamples the input to
+// the Realtime API's 24 kHz, converts it to PCM16 and posts ~100 ms frames
+// with their RMS level (for the client-side VAD) to the main thread.
+// Loaded with audioContext.audioWorklet.addModule(); script.js falls back to
+// a ScriptProcessorNode where worklets are unavailable.
+
+// Kernel half-width in zero crossings of the low-pass filter; more is
+// sharper but costs more per output sample
+const ZERO_CROSSINGS = 16;
+// Keep the pass band just below the output Nyquist frequency
+const CUTOFF = 0.9;
+// Kernel lookup resolution per input sample
+const TABLE_RESOLUTION = 256;
+
+function blackman(x) {
+  // x in [-1, 1]
+  return 0.42 + 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x);
+}
+
+// Streaming windowed-sinc resampler. Downsampling scales the cutoff to the
+// output rate, so content above the new Nyquist frequency is filtered out
+// instead of folding back as aliasing (which the old linear interpolation did).
+export function createResampler(inputRate, outputRate) {
+  const step = inputRate / outputRate;
+  const scale = Math.min(1, outputRate / inputRate) * CUTOFF;
+  const halfWidth = Math.ceil(ZERO_CROSSINGS / scale);
+
+  // kernel(d) for d = i / TABLE_RESOLUTION input samples from the centre
+  const table = new Float32Array(halfWidth * TABLE_RESOLUTION + 2);
+  for (let i = 0; i < table.length; i++) {
+    const d = i / TABLE_RESOLUTION;
+    const x = Math.PI * d * scale;
+    const sinc = d === 0 ? 1 : Math.sin(x) / x;
+    table[i] = d > halfWidth ? 0 : scale * sinc * blackman(d / halfWidth);
+  }
+
+  function kernel(distance) {
+    const index = Math.abs(distance) * TABLE_RESOLUTION;
+    const i = Math.floor(index);
+    const fraction = index - i;
+    return table[i] + (table[i + 1] - table[i]) * fraction;
+  }
+
+  // Zero history so the first output samples have a full kernel
+  let buffer = new Float32Array(halfWidth);
+  let position = halfWidth;
+
+  // Returns the output samples that the input seen so far fully determines
+  function push(input) {
+    if (inputRate === outputRate) return Float32Array.from(input);
+
+    const merged = new Float32Array(buffer.length + input.length);
+    merged.set(buffer);
+    merged.set(input, buffer.length);
+
+    const output = [];
+    while (position + halfWidth < merged.length) {
+      const first = Math.ceil(position - halfWidth);
+      const last = Math.floor(position + halfWidth);
+      let sum = 0;
+      for (let j = first; j <= last; j++) {
+        sum += merged[j] * kernel(j - position);
+      }
+      output.push(sum);
+      position += step;
+    }
+
+    // Drop input no later output sample can reach
+    const keepFrom = Math.max(0, Math.floor(position - halfWidth));
+    buffer = merged.slice(keepFrom);
+    position -= keepFrom;
+    return Float32Array.from(output);
+  }
+
+  return { push };
+}
+
+export function floatToPcm16(samples) {
+  const pcm16 = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    pcm16[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+  }
+  return pcm16;
+}
+
+export function rmsLevel(samples) {
+  if (samples.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+// Only defined inside an AudioWorkletGlobalScope; the helpers above are also
+// imported by the tests
+if (typeof AudioWorkletProcessor !== 'undefined') {
+  class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      const { targetSampleRate = 24000, frameMs = 100 } = options.processorOptions || {};
+      this.resampler = createResampler(sampleRate, targetSampleRate);
+      this.frame = new Float32Array(Math.round(targetSampleRate * frameMs / 1000));
+      this.frameLength = 0;
+    }
+
+    process(inputs) {
+      const channel = inputs[0] && inputs[0][0];
+      if (!channel) return true;
+
+      const samples = this.resampler.push(channel);
+      let offset = 0;
+      while (offset < samples.length) {
+        const count = Math.min(samples.length - offset, this.frame.length - this.frameLength);
+        this.frame.set(samples.subarray(offset, offset + count), this.frameLength);
+        this.frameLength += count;
+        offset += count;
+
+        if (this.frameLength === this.frame.length) {
+          const pcm = floatToPcm16(this.frame).buffer;
+          this.port.postMessage({ pcm, level: rmsLevel(this.frame) }, [pcm]);
+          this.frameLength = 0;
+        }
+      }
+      return true;
+    }
+  }
+
+  registerProcessor('pcm16-capture', CaptureProcessor);
+}
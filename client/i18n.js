@@ -0,0 +1,314 @@
+// UI strings for the participant pages. Elements opt in with
+//   data-i18n="key"              -> textContent
+//   data-i18n-placeholder="key"  -> placeholder
+//   data-i18n-aria-label="key"   -> aria-label
+//   data-i18n-title="key"        -> title
+// and scripts use I18n.t('key', { name: value }) for dynamic text. Locales
+// must match lib/locales.js on the server.
+
+const I18n = (() => {
+  const LABELS = { en: 'English', de: 'Deutsch', es: 'Español' };
+  const DEFAULT_LOCALE = 'en';
+
+  const STRINGS = {
+    en: {
+      'header.title': 'Conversational Voice Agent',
+      'header.language': 'Language',
+      'header.transcript': 'Transcript',
+      'header.transcriptTitle': 'Download transcript',
+      'header.reflection': 'Reflection',
+      'header.reflectionTitle': 'Open your written reflection',
+      'header.dashboard': 'Dashboard',
+      'header.logout': 'Logout',
+      'export.format': 'Transcript format',
+      'export.md': 'Markdown',
+      'export.txt': 'Plain text',
+      'export.vtt': 'WebVTT',
+      'export.docx': 'Word (DOCX)',
+      'browser.notice': '⚠️ Browser Compatibility Notice:',
+      'browser.firefox': 'Firefox detected. Ensure microphone permissions are granted.',
+      'browser.safari': 'Safari detected. Ensure microphone permissions are granted.',
+      'welcome.title': 'Welcome!',
+      'progress.label': 'Reflection progress',
+      'voice.hint': 'Click to Start / Pause',
+      'voice.finish': 'Finish & draft my reflection',
+      'text.placeholder': 'Or type your answer here...',
+      'text.label': 'Type your answer',
+      'text.send': 'Send',
+      'footer.pauseInfo': 'You can pause and resume the conversation at any time',
+      'reflection.title': 'Your reflection',
+      'reflection.intro': 'Your answers from the conversation, grouped by stage. Rework them into your written reflection and save.',
+      'reflection.save': 'Save reflection',
+      'reflection.close': 'Close',
+      'reflection.draft': 'Draft - not saved yet',
+      'reflection.saving': 'Saving...',
+      'reflection.saved': 'Saved {time}',
+      'reflection.notSaved': 'Not saved: {error}',
+      'reflection.none': 'There is no saved conversation to reflect on yet.',
+      'reflection.loadFailed': 'Could not open your reflection: {error}',
+      'phase.description': 'Description',
+      'phase.feelings': 'Feelings',
+      'phase.evaluation': 'Evaluation',
+      'phase.analysis': 'Analysis',
+      'phase.conclusion': 'Conclusion',
+      'phase.action_plan': 'Action Plan',
+      'alert.noTranscript': 'There is no saved conversation to download yet.',
+      'alert.downloadFailed': 'Could not download transcript: {error}',
+      'alert.loginAgain': 'Session expired. Please login again.',
+      'alert.sessionExpired': 'Your session has expired. Please login again.',
+      'alert.wrongUser': 'This session belongs to a different user. Please login again.',
+      'alert.audioError': 'Audio system error. Please refresh the page.',
+      'alert.micError': 'Microphone Error: {error}',
+      'alert.localeFailed': 'Could not change the language: {error}',
+      'alert.outdatedClient': 'This page is out of date. Please reload it to continue.',
+      'header.settings': 'Settings',
+      'header.settingsTitle': 'Voice and turn-taking settings',
+      'settings.title': 'Voice settings',
+      'settings.intro': 'Changes apply the next time you start or resume the conversation.',
+      'settings.locked': 'These settings are fixed for your study group.',
+      'settings.voice': 'Voice',
+      'settings.speed': 'Speaking pace',
+      'settings.silence': 'Pause before the facilitator replies',
+      'settings.threshold': 'Background noise filter',
+      'settings.save': 'Save settings',
+      'settings.saving': 'Saving...',
+      'settings.saved': 'Saved',
+      'settings.notSaved': 'Not saved: {error}',
+      'settings.loadFailed': 'Could not load your settings: {error}',
+      'status.reconnecting': 'Connection lost - reconnecting...',
+      'login.title': 'Conversational LEXI Voice Agent',
+      'login.subtitle': 'Your AI-powered conversation partner',
+      'login.signupTab': 'First Time ?',
+      'login.loginTab': 'Already having account ?',
+      'login.username': 'Username',
+      'login.password': 'Password',
+      'login.usernamePlaceholder': 'Enter your username',
+      'login.passwordPlaceholder': 'Enter your password',
+      'login.submit': 'Sign In',
+      'signup.usernamePlaceholder': 'Choose a username',
+      'signup.passwordPlaceholder': 'Create a password',
+      'signup.confirmPassword': 'Confirm Password',
+      'signup.confirmPlaceholder': 'Confirm your password',
+      'signup.submit': 'Create Account',
+      'signup.mismatch': 'Passwords do not match',
+      'signup.invalidUsername': 'Usernames may only contain letters, digits, _ and -',
+      'signup.success': 'Account created successfully! Signing you in...',
+      'login.noteLabel': 'Note:',
+      'login.note': 'Your reflective conversation will be saved securely with your username in our system.'
+    },
+    de: {
+      'header.title': 'Sprachassistent für Gespräche',
+      'header.language': 'Sprache',
+      'header.transcript': 'Transkript',
+      'header.transcriptTitle': 'Transkript herunterladen',
+      'header.reflection': 'Reflexion',
+      'header.reflectionTitle': 'Deine schriftliche Reflexion öffnen',
+      'header.dashboard': 'Dashboard',
+      'header.logout': 'Abmelden',
+      'export.format': 'Transkriptformat',
+      'export.md': 'Markdown',
+      'export.txt': 'Nur Text',
+      'export.vtt': 'WebVTT',
+      'export.docx': 'Word (DOCX)',
+      'browser.notice': '⚠️ Hinweis zur Browser-Kompatibilität:',
+      'browser.firefox': 'Firefox erkannt. Bitte erlaube den Zugriff auf das Mikrofon.',
+      'browser.safari': 'Safari erkannt. Bitte erlaube den Zugriff auf das Mikrofon.',
+      'welcome.title': 'Willkommen!',
+      'progress.label': 'Fortschritt der Reflexion',
+      'voice.hint': 'Klicken zum Starten / Pausieren',
+      'voice.finish': 'Beenden & Reflexion entwerfen',
+      'text.placeholder': 'Oder tippe deine Antwort hier ein...',
+      'text.label': 'Antwort eintippen',
+      'text.send': 'Senden',
+      'footer.pauseInfo': 'Du kannst das Gespräch jederzeit pausieren und fortsetzen',
+      'reflection.title': 'Deine Reflexion',
+      'reflection.intro': 'Deine Antworten aus dem Gespräch, nach Phasen geordnet. Überarbeite sie zu deiner schriftlichen Reflexion und speichere sie.',
+      'reflection.save': 'Reflexion speichern',
+      'reflection.close': 'Schließen',
+      'reflection.draft': 'Entwurf - noch nicht gespeichert',
+      'reflection.saving': 'Wird gespeichert...',
+      'reflection.saved': 'Gespeichert {time}',
+      'reflection.notSaved': 'Nicht gespeichert: {error}',
+      'reflection.none': 'Es gibt noch kein gespeichertes Gespräch, über das du reflektieren kannst.',
+      'reflection.loadFailed': 'Deine Reflexion konnte nicht geöffnet werden: {error}',
+      'phase.description': 'Beschreibung',
+      'phase.feelings': 'Gefühle',
+      'phase.evaluation': 'Bewertung',
+      'phase.analysis': 'Analyse',
+      'phase.conclusion': 'Schlussfolgerung',
+      'phase.action_plan': 'Aktionsplan',
+      'alert.noTranscript': 'Es gibt noch kein gespeichertes Gespräch zum Herunterladen.',
+      'alert.downloadFailed': 'Das Transkript konnte nicht heruntergeladen werden: {error}',
+      'alert.loginAgain': 'Sitzung abgelaufen. Bitte melde dich erneut an.',
+      'alert.sessionExpired': 'Deine Sitzung ist abgelaufen. Bitte melde dich erneut an.',
+      'alert.wrongUser': 'Diese Sitzung gehört zu einem anderen Konto. Bitte melde dich erneut an.',
+      'alert.audioError': 'Fehler im Audiosystem. Bitte lade die Seite neu.',
+      'alert.micError': 'Mikrofonfehler: {error}',
+      'alert.localeFailed': 'Die Sprache konnte nicht geändert werden: {error}',
+      'alert.outdatedClient': 'Diese Seite ist veraltet. Bitte lade sie neu, um fortzufahren.',
+      'header.settings': 'Einstellungen',
+      'header.settingsTitle': 'Stimme und Sprecherwechsel einstellen',
+      'settings.title': 'Spracheinstellungen',
+      'settings.intro': 'Änderungen gelten ab dem nächsten Start oder Fortsetzen des Gesprächs.',
+      'settings.locked': 'Diese Einstellungen sind für deine Studiengruppe festgelegt.',
+      'settings.voice': 'Stimme',
+      'settings.speed': 'Sprechtempo',
+      'settings.silence': 'Pause, bevor die Moderation antwortet',
+      'settings.threshold': 'Filter für Hintergrundgeräusche',
+      'settings.save': 'Einstellungen speichern',
+      'settings.saving': 'Wird gespeichert...',
+      'settings.saved': 'Gespeichert',
+      'settings.notSaved': 'Nicht gespeichert: {error}',
+      'settings.loadFailed': 'Deine Einstellungen konnten nicht geladen werden: {error}',
+      'status.reconnecting': 'Verbindung unterbrochen - wird wiederhergestellt...',
+      'login.title': 'LEXI Sprachassistent für Gespräche',
+      'login.subtitle': 'Dein KI-gestützter Gesprächspartner',
+      'login.signupTab': 'Zum ersten Mal hier?',
+      'login.loginTab': 'Schon ein Konto?',
+      'login.username': 'Benutzername',
+      'login.password': 'Passwort',
+      'login.usernamePlaceholder': 'Benutzername eingeben',
+      'login.passwordPlaceholder': 'Passwort eingeben',
+      'login.submit': 'Anmelden',
+      'signup.usernamePlaceholder': 'Benutzernamen wählen',
+      'signup.passwordPlaceholder': 'Passwort festlegen',
+      'signup.confirmPassword': 'Passwort bestätigen',
+      'signup.confirmPlaceholder': 'Passwort wiederholen',
+      'signup.submit': 'Konto erstellen',
+      'signup.mismatch': 'Die Passwörter stimmen nicht überein',
+      'signup.invalidUsername': 'Benutzernamen dürfen nur Buchstaben, Ziffern, _ und - enthalten',
+      'signup.success': 'Konto erstellt! Du wirst angemeldet...',
+      'login.noteLabel': 'Hinweis:',
+      'login.note': 'Dein Reflexionsgespräch wird sicher unter deinem Benutzernamen in unserem System gespeichert.'
+    },
+    es: {
+      'header.title': 'Agente de voz conversacional',
+      'header.language': 'Idioma',
+      'header.transcript': 'Transcripción',
+      'header.transcriptTitle': 'Descargar la transcripción',
+      'header.reflection': 'Reflexión',
+      'header.reflectionTitle': 'Abrir tu reflexión escrita',
+      'header.dashboard': 'Panel',
+      'header.logout': 'Cerrar sesión',
+      'export.format': 'Formato de la transcripción',
+      'export.md': 'Markdown',
+      'export.txt': 'Texto sin formato',
+      'export.vtt': 'WebVTT',
+      'export.docx': 'Word (DOCX)',
+      'browser.notice': '⚠️ Aviso de compatibilidad del navegador:',
+      'browser.firefox': 'Firefox detectado. Asegúrate de conceder permiso al micrófono.',
+      'browser.safari': 'Safari detectado. Asegúrate de conceder permiso al micrófono.',
+      'welcome.title': '¡Bienvenido!',
+      'progress.label': 'Progreso de la reflexión',
+      'voice.hint': 'Haz clic para iniciar / pausar',
+      'voice.finish': 'Terminar y redactar mi reflexión',
+      'text.placeholder': 'O escribe tu respuesta aquí...',
+      'text.label': 'Escribe tu respuesta',
+      'text.send': 'Enviar',
+      'footer.pauseInfo': 'Puedes pausar y reanudar la conversación en cualquier momento',
+      'reflection.title': 'Tu reflexión',
+      'reflection.intro': 'Tus respuestas de la conversación, agrupadas por etapa. Reelabóralas en tu reflexión escrita y guárdala.',
+      'reflection.save': 'Guardar reflexión',
+      'reflection.close': 'Cerrar',
+      'reflection.draft': 'Borrador - aún no guardado',
+      'reflection.saving': 'Guardando...',
+      'reflection.saved': 'Guardado {time}',
+      'reflection.notSaved': 'No guardado: {error}',
+      'reflection.none': 'Todavía no hay ninguna conversación guardada sobre la que reflexionar.',
+      'reflection.loadFailed': 'No se pudo abrir tu reflexión: {error}',
+      'phase.description': 'Descripción',
+      'phase.feelings': 'Sentimientos',
+      'phase.evaluation': 'Evaluación',
+      'phase.analysis': 'Análisis',
+      'phase.conclusion': 'Conclusión',
+      'phase.action_plan': 'Plan de acción',
+      'alert.noTranscript': 'Todavía no hay ninguna conversación guardada para descargar.',
+      'alert.downloadFailed': 'No se pudo descargar la transcripción: {error}',
+      'alert.loginAgain': 'La sesión ha caducado. Vuelve a iniciar sesión.',
+      'alert.sessionExpired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+      'alert.wrongUser': 'Esta sesión pertenece a otro usuario. Vuelve a iniciar sesión.',
+      'alert.audioError': 'Error del sistema de audio. Recarga la página.',
+      'alert.micError': 'Error del micrófono: {error}',
+      'alert.localeFailed': 'No se pudo cambiar el idioma: {error}',
+      'alert.outdatedClient': 'Esta página está desactualizada. Recárgala para continuar.',
+      'header.settings': 'Ajustes',
+      'header.settingsTitle': 'Ajustes de voz y turnos de palabra',
+      'settings.title': 'Ajustes de voz',
+      'settings.intro': 'Los cambios se aplican la próxima vez que inicies o reanudes la conversación.',
+      'settings.locked': 'Estos ajustes son fijos para tu grupo de estudio.',
+      'settings.voice': 'Voz',
+      'settings.speed': 'Ritmo al hablar',
+      'settings.silence': 'Pausa antes de que responda el facilitador',
+      'settings.threshold': 'Filtro de ruido de fondo',
+      'settings.save': 'Guardar ajustes',
+      'settings.saving': 'Guardando...',
+      'settings.saved': 'Guardado',
+      'settings.notSaved': 'No guardado: {error}',
+      'settings.loadFailed': 'No se pudieron cargar tus ajustes: {error}',
+      'status.reconnecting': 'Conexión perdida - reconectando...',
+      'login.title': 'Agente de voz conversacional LEXI',
+      'login.subtitle': 'Tu compañero de conversación con IA',
+      'login.signupTab': '¿Primera vez?',
+      'login.loginTab': '¿Ya tienes una cuenta?',
+      'login.username': 'Nombre de usuario',
+      'login.password': 'Contraseña',
+      'login.usernamePlaceholder': 'Introduce tu nombre de usuario',
+      'login.passwordPlaceholder': 'Introduce tu contraseña',
+      'login.submit': 'Iniciar sesión',
+      'signup.usernamePlaceholder': 'Elige un nombre de usuario',
+      'signup.passwordPlaceholder': 'Crea una contraseña',
+      'signup.confirmPassword': 'Confirmar contraseña',
+      'signup.confirmPlaceholder': 'Repite tu contraseña',
+      'signup.submit': 'Crear cuenta',
+      'signup.mismatch': 'Las contraseñas no coinciden',
+      'signup.invalidUsername': 'El nombre de usuario solo puede contener letras, dígitos, _ y -',
+      'signup.success': '¡Cuenta creada! Iniciando sesión...',
+      'login.noteLabel': 'Nota:',
+      'login.note': 'Tu conversación de reflexión se guardará de forma segura con tu nombre de usuario en nuestro sistema.'
+    }
+  };
+
+  function resolve(tag) {
+    const base = String(tag || '').toLowerCase().split(/[-_]/)[0];
+    return STRINGS[base] ? base : DEFAULT_LOCALE;
+  }
+
+  // The account's locale (set at login) wins over the browser's preference
+  let locale = resolve(sessionStorage.getItem('locale') || localStorage.getItem('locale') || navigator.language);
+
+  function t(key, vars = {}) {
+    const template = STRINGS[locale][key] ?? STRINGS[DEFAULT_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in vars ? vars[name] : placeholder));
+  }
+
+  function apply(root = document) {
+    document.documentElement.lang = locale;
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  }
+
+  function setLocale(next) {
+    locale = resolve(next);
+    localStorage.setItem('locale', locale);
+    if (sessionStorage.getItem('authToken')) {
+      sessionStorage.setItem('locale', locale);
+    }
+    apply();
+  }
+
+  // Fills a <select> with the supported languages and keeps it in sync
+  function bindSelect(select, onChange) {
+    select.replaceChildren(...Object.entries(LABELS).map(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    }));
+    select.value = locale;
+    select.addEventListener('change', () => onChange(select.value));
+  }
+
+  return { LABELS, t, apply, setLocale, bindSelect, getLocale: () => locale };
+})();
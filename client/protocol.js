@@ -0,0 +1,145 @@
+// Catalog of the JSON messages exchanged over the browser <-> server
+// WebSocket, shared by both ends: the browser loads this file as a classic
+// script and the server imports it (lib/protocol.js), so either way it
+// defines the VoiceProtocol global. Audio may also travel as binary frames
+// (see lib/codecs.js); those are not JSON and not described here.
+//
+// Each message type lists its fields as 'type' or 'type?' (optional; null
+// counts as absent). Unknown fields are allowed so either side can add
+// optional data without a version bump; removing or retyping a field, or
+// changing what a message means, needs a new VERSION.
+
+const VoiceProtocol = (() => {
+  // Sent in `start`; the server refuses other versions
+  const VERSION = 1;
+
+  const CLIENT_MESSAGES = {
+    start: {
+      protocolVersion: 'integer',
+      token: 'string?',
+      username: 'string?',
+      sessionId: 'integer?',
+      conversationId: 'integer?',
+      isReconnection: 'boolean?',
+      hasMessages: 'boolean?',
+      isPauseResume: 'boolean?',
+      audioTransport: 'string?',
+      audioCodecs: 'array?'
+    },
+    audio: { audio: 'string' },
+    // Client-side VAD heard the participant stop; ends the turn upstream
+    commit_audio: {},
+    text_input: { text: 'string' },
+    resync: { turns: 'array' },
+    stop: { requestNewSession: 'boolean?' },
+    emergency_save: {}
+  };
+
+  const SERVER_MESSAGES = {
+    session_settings: { settings: 'object', locked: 'boolean', clientVad: 'object' },
+    connection_ready: { protocolVersion: 'integer', audioTransport: 'string', audioCodec: 'string' },
+    history_restored: { messageCount: 'integer' },
+    phase_changed: { phase: 'string?', name: 'string?', index: 'integer', total: 'integer' },
+    speech_started: {},
+    speech_stopped: {},
+    user_transcription: { text: 'string', inputModality: 'string', sequence: 'integer' },
+    response_creating: {},
+    assistant_transcript_delta: { text: 'string' },
+    assistant_transcript_complete: { text: 'string' },
+    assistant_audio_delta: { audio: 'string' },
+    // reason 'dropped': cut off by a lost upstream connection, not by the participant
+    response_interrupted: { sequence: 'integer', reason: 'string?' },
+    response_complete: { sequence: 'integer?' },
+    reconnecting: { attempt: 'integer', maxAttempts: 'integer', delayMs: 'integer' },
+    reconnected: { attempt: 'integer', messageCount: 'integer' },
+    resync_result: { added: 'array', sequences: 'array' },
+    // Answers `stop` once the conversation and reflection draft are saved
+    stopped: { saved: 'boolean' },
+    error: { code: 'string', message: 'string' }
+  };
+
+  const ERROR_CODES = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+    UNSUPPORTED_PROTOCOL_VERSION: 'UNSUPPORTED_PROTOCOL_VERSION',
+    // The Realtime API reported an error for this session
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+    // The Realtime API could not be reached (or reached again)
+    UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    // The participant's study condition could not be loaded; no session starts
+    CONDITION_UNAVAILABLE: 'CONDITION_UNAVAILABLE',
+    // A connection carries one session; the client opens a new socket to start another
+    SESSION_ALREADY_STARTED: 'SESSION_ALREADY_STARTED'
+  };
+
+  // WebSocket close codes the server uses to refuse a session
+  // (4000-4999 are app-defined)
+  const CLOSE_CODES = {
+    UNAUTHORIZED: 4001,
+    UNSUPPORTED_PROTOCOL_VERSION: 4002,
+    FORBIDDEN: 4003
+  };
+
+  const CHECKS = {
+    string: (value) => typeof value === 'string',
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    array: (value) => Array.isArray(value),
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  };
+
+  function invalid(code, error) {
+    return { ok: false, code, error };
+  }
+
+  // Returns { ok: true, message } or { ok: false, code, error }
+  function validate(catalog, message) {
+    if (!CHECKS.object(message) || typeof message.type !== 'string') {
+      return invalid(ERROR_CODES.INVALID_MESSAGE, 'Message must be an object with a string "type"');
+    }
+
+    const fields = catalog[message.type];
+    if (!fields) {
+      return invalid(ERROR_CODES.UNKNOWN_MESSAGE_TYPE, `Unknown message type "${message.type}"`);
+    }
+
+    for (const [field, spec] of Object.entries(fields)) {
+      const optional = spec.endsWith('?');
+      const type = optional ? spec.slice(0, -1) : spec;
+      const value = message[field];
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        return invalid(ERROR_CODES.INVALID_MESSAGE, `${message.type}.${field} is required`);
+      }
+      if (!CHECKS[type](value)) {
+        return invalid(ERROR_CODES.INVALID_MESSAGE, `${message.type}.${field} must be ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`);
+      }
+    }
+    return { ok: true, message };
+  }
+
+  function parse(catalog, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return invalid(ERROR_CODES.INVALID_JSON, 'Message is not valid JSON');
+    }
+    return validate(catalog, message);
+  }
+
+  return {
+    VERSION,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    ERROR_CODES,
+    CLOSE_CODES,
+    parseClientMessage: (text) => parse(CLIENT_MESSAGES, text),
+    parseServerMessage: (text) => parse(SERVER_MESSAGES, text),
+    validateClientMessage: (message) => validate(CLIENT_MESSAGES, message),
+    validateServerMessage: (message) => validate(SERVER_MESSAGES, message)
+  };
+})();
+
+globalThis.VoiceProtocol = VoiceProtocol;
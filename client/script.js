@@ -3,6 +3,11 @@ const voiceButton = document.getElementById('voiceButton');
 const speechBubble = document.getElementById('speechBubble');
 const welcomeMessage = document.getElementById('welcomeMessage');
 const currentSpeechText = document.getElementById('currentSpeechText');
+const phaseProgress = document.getElementById('phaseProgress');
+const textInputForm = document.getElementById('textInputForm');
+const textInput = document.getElementById('textInput');
+const textSendButton = document.getElementById('textSendBtn');
+const finishButton = document.getElementById('finishBtn');
 
 // WebSocket and Audio
 let ws;
@@ -11,6 +16,12 @@ let ttsAudioContext = null; // For Playback
 let processor = null;
 let source = null;
 let micStream = null;
+// Audio framing and codec are confirmed by the server in connection_ready;
+// no audio is sent before that, since the upstream is not open yet anyway
+let audioTransport = 'json';
+let audioReady = false;
+const supportedAudioCodecs = AudioCodecs.supported();
+let clientAudioCodec = createClientAudioCodec('pcm16');
 
 // State Management
 let isRecording = false;
@@ -19,7 +30,6 @@ let isPaused = false;
 
 // Text and Message Handling
 let currentAssistantText = '';
-let messageSequence = 0;
 
 // NEW: Text sync with audio
 let fullTranscriptText = '';
@@ -33,10 +43,16 @@ let chunksPlayed = 0;
 // Connection Management
 let isFirstConnection = true;
 let currentSessionId = null;
-let persistentConversationId = null;
+// Kept in sessionStorage so a page reload resumes the same conversation
+let persistentConversationId = Number(sessionStorage.getItem('conversationId')) || null;
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 5;
 const RECONNECT_DELAY = 3000;
+// How long a stop waits for the server to confirm its final save
+const STOP_CONFIRM_TIMEOUT_MS = 5000;
+
+// Close codes sent by the server when the start handshake is rejected
+const { CLOSE_CODES } = VoiceProtocol;
 let heartbeatInterval = null;
 let lastHeartbeat = Date.now();
 
@@ -56,6 +72,7 @@ let isUserSpeaking = false;
 let isAssistantSpeaking = false;
 
 // VAD (Voice Activity Detection) - Prevent stuck listening & filter claps
+// Both are replaced by the participant's settings when the server confirms the session (session_settings)
 let vadThreshold = 0.05; // Minimum audio level to consider as speech (higher = ignores brief sounds)
 let silenceDuration = 0;
 let maxSilenceDuration = 3500; // Max silence in ms before considering speech ended (2.5s)
@@ -83,9 +100,9 @@ function detectBrowser() {
   const isSafari = userAgent.indexOf('safari') > -1 && userAgent.indexOf('chrome') === -1;
   
   if (isFirefox) {
-    showBrowserWarning('Firefox detected. Ensure microphone permissions are granted.');
+    showBrowserWarning(I18n.t('browser.firefox'));
   } else if (isSafari) {
-    showBrowserWarning('Safari detected. Ensure microphone permissions are granted.');
+    showBrowserWarning(I18n.t('browser.safari'));
   }
 }
 
@@ -114,6 +131,12 @@ function updateVoiceUI() {
     // Active state: show pause icon
     voiceButton.classList.add('active');
   }
+
+  // Typing is possible whenever the session runs, even with the mic paused
+  const canType = isSessionActive;
+  if (textInput) textInput.disabled = !canType;
+  if (textSendButton) textSendButton.disabled = !canType;
+  if (finishButton) finishButton.hidden = !isSessionActive;
 }
 
 // --- SPEECH BUBBLE ---
@@ -181,6 +204,20 @@ function hideSpeechBubble() {
   }, 1500);
 }
 
+// --- REFLECTION PROGRESS ---
+
+function updatePhaseProgress(index, total) {
+  if (!phaseProgress || index < 0) return;
+  const dots = phaseProgress.querySelectorAll('.phase-dot');
+  dots.forEach((dot, i) => {
+    dot.classList.toggle('done', i < index);
+    dot.classList.toggle('current', i === index);
+  });
+  phaseProgress.setAttribute('aria-valuenow', String(index + 1));
+  phaseProgress.setAttribute('aria-valuemax', String(total));
+  phaseProgress.style.display = 'flex';
+}
+
 // --- VOICE BUTTON ---
 
 voiceButton.addEventListener('click', () => {
@@ -193,14 +230,34 @@ voiceButton.addEventListener('click', () => {
   }
 });
 
+// --- TYPED INPUT ---
+
+if (textInputForm) {
+  textInputForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = textInput.value.trim();
+    if (!text || !ws || ws.readyState !== WebSocket.OPEN) return;
+
+    // Typing over the assistant interrupts it, just like speaking does
+    stopAudioPlayback();
+    try {
+      ws.send(JSON.stringify({ type: 'text_input', text }));
+      textInput.value = '';
+    } catch (err) {
+      console.error('Error sending text input:', err);
+    }
+  });
+}
+
 // --- SESSION MANAGEMENT ---
 
 async function startSession() {
   if (isSessionActive) return;
   
   const username = sessionStorage.getItem('username');
-  if (!username) {
-    alert('Session expired. Please login again.');
+  const authToken = sessionStorage.getItem('authToken');
+  if (!username || !authToken) {
+    alert(I18n.t('alert.loginAgain'));
     window.location.href = 'login.html';
     return;
   }
@@ -219,7 +276,7 @@ async function startSession() {
     console.log('✅ TTS Context Ready');
   } catch (e) {
     console.error('Failed to initialize TTS context:', e);
-    alert('Audio system error. Please refresh the page.');
+    alert(I18n.t('alert.audioError'));
     return;
   }
   
@@ -231,6 +288,9 @@ async function startSession() {
   // WebSocket Connection
   const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
   ws = new WebSocket(`${protocol}//${window.location.host}`);
+  ws.binaryType = 'arraybuffer';
+  audioTransport = 'json';
+  audioReady = false;
   
   ws.onopen = async () => {
     console.log('✅ Connected to server');
@@ -243,15 +303,20 @@ async function startSession() {
     
     if (!persistentConversationId) {
       persistentConversationId = currentSessionId;
+      sessionStorage.setItem('conversationId', String(persistentConversationId));
     }
     
     ws.send(JSON.stringify({ 
       type: "start",
+      protocolVersion: VoiceProtocol.VERSION,
       username: username,
+      token: authToken,
       sessionId: currentSessionId,
       conversationId: persistentConversationId,
       isReconnection: !isFirstConnection,
-      hasMessages: !isFirstConnection
+      hasMessages: !isFirstConnection,
+      audioTransport: 'binary',
+      audioCodecs: await supportedAudioCodecs
     }));
     
     if (isFirstConnection) {
@@ -281,42 +346,14 @@ async function startSession() {
       }
       
       source = audioContext.createMediaStreamSource(micStream);
-      processor = audioContext.createScriptProcessor(4096, 1, 1);
-      source.connect(processor);
-      processor.connect(audioContext.destination);
-      
-      processor.onaudioprocess = (e) => {
-        if (!isRecording || isPaused || !ws || ws.readyState !== WebSocket.OPEN) return;
-        const input = e.inputBuffer.getChannelData(0);
-        
-        // Calculate RMS (Root Mean Square) for audio level detection
-        let sum = 0;
-        for (let i = 0; i < input.length; i++) {
-          sum += input[i] * input[i];
-        }
-        lastAudioLevel = Math.sqrt(sum / input.length);
-        
-        let resampledData = input;
-        if (audioContext.sampleRate !== 24000) {
-          resampledData = resampleAudio(input, audioContext.sampleRate, 24000);
-        }
-        
-        const pcm16 = convertFloat32ToPCM16(resampledData);
-        const base64 = arrayBufferToBase64(pcm16);
-        
-        try {
-          ws.send(JSON.stringify({ type: "audio", audio: base64 }));
-        } catch (err) {
-          console.error('Error sending audio:', err);
-        }
-      };
+      processor = await createCaptureNode(audioContext, source);
       
       // Start VAD monitoring after audio setup
       startVADMonitoring();
       
     } catch (err) {
       console.error('Microphone error:', err);
-      alert('Microphone Error: ' + err.message);
+      alert(I18n.t('alert.micError', { error: err.message }));
       cleanup();
       return;
     }
@@ -324,16 +361,76 @@ async function startSession() {
   
   ws.onmessage = (event) => {
     lastHeartbeat = Date.now();
+
+    // A stopped session's socket stays open only for the server's final save
+    if (event.target.onStopped) {
+      if (event.data instanceof ArrayBuffer) return;
+      const parsed = VoiceProtocol.parseServerMessage(event.data);
+      if (parsed.ok && parsed.message.type === 'stopped') event.target.onStopped();
+      return;
+    }
+
+    // Binary frames are always assistant audio in the negotiated codec
+    if (event.data instanceof ArrayBuffer) {
+      clientAudioCodec.decode(event.data);
+      return;
+    }
     
     try {
-      const msg = JSON.parse(event.data);
+      const parsed = VoiceProtocol.parseServerMessage(event.data);
+      if (!parsed.ok) {
+        console.warn(`⚠️ Ignored server message (${parsed.code}): ${parsed.error}`);
+        return;
+      }
+      const msg = parsed.message;
       
       if (msg.type === 'connection_ready') {
-        console.log('✅ Ready to send audio');
+        audioTransport = msg.audioTransport === 'binary' ? 'binary' : 'json';
+        clientAudioCodec.close();
+        clientAudioCodec = createClientAudioCodec(msg.audioCodec);
+        audioReady = true;
+        console.log(`✅ Ready to send audio (${clientAudioCodec.name}, ${audioTransport})`);
+        resyncTranscript();
+      }
+
+      if (msg.type === 'resync_result') {
+        if (msg.added.length > 0) {
+          console.log(`🩹 Server recovered ${msg.added.length} turn(s) from the local transcript buffer`);
+        }
+        TranscriptStore.forget(persistentConversationId, msg.sequences);
+      }
+
+      if (msg.type === 'session_settings') {
+        vadThreshold = msg.clientVad.level_threshold;
+        maxSilenceDuration = msg.clientVad.max_silence_ms;
+        console.log(`🎚️ Voice settings: ${msg.settings.voice}, ${msg.settings.speed}x, ${msg.settings.silence_duration_ms}ms silence${msg.locked ? ' (locked)' : ''}`);
       }
       
       if (msg.type === 'history_restored') {
-        console.log('✅ Conversation history restored');
+        console.log(`✅ Conversation history restored (${msg.messageCount} messages)`);
+        // No greeting follows a resume, so drop the "..." placeholder
+        if (currentDisplayText === '...') {
+          hideSpeechBubble();
+        }
+      }
+
+      // The server lost its upstream connection and is reopening it; audio
+      // keeps flowing and is buffered there
+      if (msg.type === 'reconnecting') {
+        console.warn(`🔁 Facilitator connection lost, reconnecting (${msg.attempt}/${msg.maxAttempts})`);
+        showSpeechBubble(I18n.t('status.reconnecting'));
+      }
+
+      if (msg.type === 'reconnected') {
+        console.log(`✅ Facilitator reconnected (${msg.messageCount} messages restored)`);
+        if (currentDisplayText === I18n.t('status.reconnecting')) {
+          hideSpeechBubble();
+        }
+      }
+
+      if (msg.type === 'phase_changed') {
+        console.log(`🧭 Reflection phase ${msg.index + 1}/${msg.total}: ${msg.phase}`);
+        updatePhaseProgress(msg.index, msg.total);
       }
 
       // 1) CLIENT-SIDE INTERRUPTION HANDLING
@@ -354,7 +451,7 @@ async function startSession() {
           if (isUserSpeaking && ws && ws.readyState === WebSocket.OPEN) {
             console.log(`⏱️ Listening state timeout (${maxListeningDuration}ms) - no speech detected`);
             try {
-              ws.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+              ws.send(JSON.stringify({ type: 'commit_audio' }));
               isUserSpeaking = false;
             } catch (e) {
               console.error('Error forcing commit:', e);
@@ -383,11 +480,12 @@ async function startSession() {
       if (msg.type === 'user_transcription') {
         console.log('User said:', msg.text);
         
-        conversationMessages.push({
-          sequence: messageSequence++,
+        rememberTurn({
+          sequence: msg.sequence,
           role: 'user',
           content: msg.text,
-          timestamp: new Date().toISOString()
+          timestamp: new Date().toISOString(),
+          input_modality: msg.inputModality || 'voice'
         });
       }
       
@@ -446,16 +544,12 @@ async function startSession() {
       }
       
       if (msg.type === "assistant_audio_delta") {
-        // Guard: Drop audio if user interrupted
-        if (isUserSpeaking) return;
-
-        // Increment total chunks received for ratio calculation
-        totalChunksReceived++;
-        playPCM16Audio(msg.audio);
+        clientAudioCodec.decode(base64ToArrayBuffer(msg.audio));
       }
       
       if (msg.type === 'response_interrupted') {
-        console.log('⛔ Interrupted (Server Confirmed)');
+        const dropped = msg.reason === 'dropped';
+        console.log(dropped ? '⛔ Response lost with the facilitator connection' : '⛔ Interrupted (Server Confirmed)');
         stopAudioPlayback();
         
         isAssistantSpeaking = false;
@@ -464,6 +558,17 @@ async function startSession() {
           currentAssistantText += '...';
           showSpeechBubble(currentAssistantText);
         }
+        // The server keeps everything transcribed so far, not just the words shown
+        if (fullTranscriptText) {
+          rememberTurn({
+            sequence: msg.sequence,
+            role: 'assistant',
+            content: `${fullTranscriptText}...`,
+            timestamp: new Date().toISOString(),
+            interrupted: !dropped,
+            ...(dropped ? { dropped: true } : {})
+          });
+        }
         
         // Reset text sync variables
         currentAssistantText = '';
@@ -478,18 +583,21 @@ async function startSession() {
         console.log('✅ Response complete');
         isAssistantSpeaking = false;
         
-        if (currentAssistantText) {
-          conversationMessages.push({
-            sequence: messageSequence++,
+        // Audio (and the word-by-word display) may still be playing; buffer
+        // the whole transcript
+        if (fullTranscriptText) {
+          rememberTurn({
+            sequence: msg.sequence,
             role: 'assistant',
-            content: currentAssistantText,
-            timestamp: new Date().toISOString()
+            content: fullTranscriptText,
+            timestamp: new Date().toISOString(),
+            interrupted: false
           });
         }
       }
       
       if (msg.type === 'error') {
-        console.error('Server error:', msg.message);
+        console.error(`Server error (${msg.code}):`, msg.message);
         showSpeechBubble(`Error: ${msg.message}`);
       }
     } catch (err) {
@@ -502,7 +610,23 @@ async function startSession() {
   };
   
   ws.onclose = (event) => {
+    if (event.target.onStopped) {
+      event.target.onStopped();
+      return;
+    }
     stopHeartbeat();
+    if (event.code === CLOSE_CODES.UNAUTHORIZED || event.code === CLOSE_CODES.FORBIDDEN) {
+      handleAuthRejected(event);
+      return;
+    }
+    // This page is older (or newer) than the server; reconnecting cannot help
+    if (event.code === CLOSE_CODES.UNSUPPORTED_PROTOCOL_VERSION) {
+      console.warn(`🚫 Session rejected by server (${event.code}): ${event.reason}`);
+      stopAudioPlayback();
+      cleanup();
+      alert(I18n.t('alert.outdatedClient'));
+      return;
+    }
     if (isSessionActive && event.code !== 1000 && reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
       reconnectAttempts++;
       console.log(`Reconnecting (${reconnectAttempts})...`);
@@ -515,6 +639,35 @@ async function startSession() {
   };
 }
 
+// Keeps a finished turn in memory and, if it is the participant's, under the
+// sequence number the server recorded it with in the durable transcript
+// buffer (the server only takes participant turns back on resync)
+function rememberTurn(turn) {
+  conversationMessages.push(turn);
+  if (turn.role === 'user' && Number.isInteger(turn.sequence) && persistentConversationId) {
+    TranscriptStore.put(username, persistentConversationId, turn);
+  }
+}
+
+// Offers the buffered turns to the server, which keeps any it lost
+async function resyncTranscript() {
+  const turns = await TranscriptStore.list(username, persistentConversationId);
+  if (turns.length === 0 || !ws || ws.readyState !== WebSocket.OPEN) return;
+  console.log(`🩹 Resyncing ${turns.length} buffered turn(s)`);
+  ws.send(JSON.stringify({ type: 'resync', turns }));
+}
+
+function handleAuthRejected(event) {
+  console.warn(`🚫 Session rejected by server (${event.code}): ${event.reason}`);
+  stopAudioPlayback();
+  cleanup();
+  sessionStorage.clear();
+  alert(event.code === CLOSE_CODES.UNAUTHORIZED
+    ? I18n.t('alert.sessionExpired')
+    : I18n.t('alert.wrongUser'));
+  window.location.href = 'login.html';
+}
+
 function pauseSession() {
   if (!isSessionActive || isPaused) return;
   
@@ -568,19 +721,38 @@ function resumeSession() {
   updateVoiceUI();
 }
 
+// Resolves once the server has saved the conversation (and drafted the
+// reflection) and answered with `stopped`, or gave no answer in time
 function stopSession() {
-  if (!isSessionActive) return;
+  if (!isSessionActive) return Promise.resolve();
   
   console.log('🛑 Stopping session');
   
+  let stopped = Promise.resolve();
   if (ws && ws.readyState === WebSocket.OPEN) {
+    const socket = ws;
+    stopped = new Promise(resolve => {
+      const timer = setTimeout(() => {
+        console.warn('⚠️ No stop confirmation from the server');
+        socket.onStopped();
+      }, STOP_CONFIRM_TIMEOUT_MS);
+      socket.onStopped = () => {
+        clearTimeout(timer);
+        socket.onStopped = null;
+        if (socket.readyState === WebSocket.OPEN) socket.close();
+        resolve();
+      };
+    });
     try {
-      ws.send(JSON.stringify({ type: 'stop' }));
-    } catch (err) {}
+      socket.send(JSON.stringify({ type: 'stop' }));
+    } catch (err) {
+      socket.onStopped();
+    }
   }
   
   stopAudioPlayback();
   cleanup();
+  return stopped;
 }
 
 function cleanup() {
@@ -618,8 +790,13 @@ function cleanup() {
     audioContext.close();
     audioContext = null;
   }
+
+  audioReady = false;
+  clientAudioCodec.close();
+  clientAudioCodec = createClientAudioCodec('pcm16');
   
-  if (ws && ws.readyState === WebSocket.OPEN) {
+  // A stopping socket is closed once the server confirms (see stopSession)
+  if (ws && ws.readyState === WebSocket.OPEN && !ws.onStopped) {
     ws.close();
   }
   
@@ -628,6 +805,81 @@ function cleanup() {
 
 // --- AUDIO PROCESSING ---
 
+const CAPTURE_SAMPLE_RATE = 24000;
+
+function createClientAudioCodec(name) {
+  return AudioCodecs.create(name, { onEncoded: sendAudioFrame, onDecoded: handleAssistantAudio });
+}
+
+function sendCapturedAudio(pcm16Buffer) {
+  if (!isRecording || isPaused || !audioReady || !ws || ws.readyState !== WebSocket.OPEN) return;
+  clientAudioCodec.encode(new Int16Array(pcm16Buffer));
+}
+
+function sendAudioFrame(frame) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  try {
+    if (audioTransport === 'binary') {
+      ws.send(frame);
+    } else {
+      ws.send(JSON.stringify({ type: "audio", audio: arrayBufferToBase64(frame) }));
+    }
+  } catch (err) {
+    console.error('Error sending audio:', err);
+  }
+}
+
+// Capture, level metering and resampling run on the audio thread
+// (capture-worklet.js) so a busy UI cannot cause dropouts; browsers without
+// AudioWorklet get the older main-thread ScriptProcessor path.
+async function createCaptureNode(context, input) {
+  if (context.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+    try {
+      await context.audioWorklet.addModule('capture-worklet.js');
+      const node = new AudioWorkletNode(context, 'pcm16-capture', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 1,
+        channelCountMode: 'explicit',
+        processorOptions: { targetSampleRate: CAPTURE_SAMPLE_RATE }
+      });
+      node.port.onmessage = (e) => {
+        lastAudioLevel = e.data.level;
+        sendCapturedAudio(e.data.pcm);
+      };
+      input.connect(node);
+      console.log('🎛️ Capturing audio with AudioWorklet');
+      return node;
+    } catch (err) {
+      console.warn('⚠️ AudioWorklet capture unavailable, falling back to ScriptProcessor:', err);
+    }
+  }
+
+  const node = context.createScriptProcessor(4096, 1, 1);
+  input.connect(node);
+  node.connect(context.destination);
+
+  node.onaudioprocess = (e) => {
+    if (!isRecording || isPaused || !ws || ws.readyState !== WebSocket.OPEN) return;
+    const samples = e.inputBuffer.getChannelData(0);
+
+    // Calculate RMS (Root Mean Square) for audio level detection
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    lastAudioLevel = Math.sqrt(sum / samples.length);
+
+    let resampledData = samples;
+    if (context.sampleRate !== CAPTURE_SAMPLE_RATE) {
+      resampledData = resampleAudio(samples, context.sampleRate, CAPTURE_SAMPLE_RATE);
+    }
+    sendCapturedAudio(convertFloat32ToPCM16(resampledData));
+  };
+  console.log('🎛️ Capturing audio with ScriptProcessor (fallback)');
+  return node;
+}
+
 function convertFloat32ToPCM16(float32Array) {
   const pcm16 = new Int16Array(float32Array.length);
   for (let i = 0; i < float32Array.length; i++) {
@@ -724,9 +976,7 @@ function startVADMonitoring() {
         if (ws && ws.readyState === WebSocket.OPEN) {
           try {
             // Send a commit event to force the API to process what it has
-            ws.send(JSON.stringify({ 
-              type: 'input_audio_buffer.commit' 
-            }));
+            ws.send(JSON.stringify({ type: 'commit_audio' }));
             console.log('📤 Sent manual commit due to silence detection');
           } catch (e) {
             console.error('Error sending commit:', e);
@@ -753,39 +1003,44 @@ function stopVADMonitoring() {
 
 // --- AUDIO PLAYBACK ---
 
-function playPCM16Audio(base64Audio) {
+function base64ToArrayBuffer(base64Audio) {
+  const raw = atob(base64Audio);
+  const bytes = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) {
+    bytes[i] = raw.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+// Decoded assistant audio (24 kHz float samples) from the client codec
+function handleAssistantAudio(float32Array) {
+  // Guard: Drop audio if user interrupted
+  if (isUserSpeaking) return;
+
+  // Increment total chunks received for ratio calculation
+  totalChunksReceived++;
+  playAudioSamples(float32Array);
+}
+
+function playAudioSamples(float32Array) {
   if (!ttsAudioContext || ttsAudioContext.state === 'closed') {
     return;
   }
   
   if (ttsAudioContext.state === 'suspended' && !isPaused) {
     ttsAudioContext.resume().then(() => {
-      actuallyPlayAudio(base64Audio);
+      actuallyPlayAudio(float32Array);
     }).catch(e => {
       console.error('Failed to resume context:', e);
     });
     return;
   }
   
-  actuallyPlayAudio(base64Audio);
+  actuallyPlayAudio(float32Array);
 }
 
-function actuallyPlayAudio(base64Audio) {
+function actuallyPlayAudio(float32Array) {
   try {
-    const raw = atob(base64Audio);
-    const pcm16Array = new Int16Array(raw.length / 2);
-    
-    for (let i = 0; i < pcm16Array.length; i++) {
-      const byte1 = raw.charCodeAt(i * 2);
-      const byte2 = raw.charCodeAt(i * 2 + 1);
-      pcm16Array[i] = (byte2 << 8) | byte1;
-    }
-    
-    const float32Array = new Float32Array(pcm16Array.length);
-    for (let i = 0; i < pcm16Array.length; i++) {
-      float32Array[i] = pcm16Array[i] / 32768.0;
-    }
-    
     audioQueue.push(float32Array);
     
     if (!isPlayingAudio && !isPaused) {
@@ -891,6 +1146,7 @@ function stopAudioPlayback() {
   }
   audioQueue = [];
   isPlayingAudio = false;
+  clientAudioCodec.resetPlayback();
 }
 
 // --- HEARTBEAT ---
@@ -914,6 +1170,259 @@ function stopHeartbeat() {
   }
 }
 
+// --- TRANSCRIPT EXPORT ---
+
+const exportButton = document.getElementById('exportBtn');
+const exportFormatSelect = document.getElementById('exportFormat');
+
+async function downloadTranscript() {
+  if (!persistentConversationId) {
+    alert(I18n.t('alert.noTranscript'));
+    return;
+  }
+
+  const format = exportFormatSelect ? exportFormatSelect.value : 'md';
+  try {
+    const response = await fetch(`/api/conversations/${persistentConversationId}/export?format=${format}`, {
+      headers: { 'Authorization': `Bearer ${sessionStorage.getItem('authToken')}` }
+    });
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || 'Download failed');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : `transcript.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    console.error('Transcript download failed:', err);
+    alert(I18n.t('alert.downloadFailed', { error: err.message }));
+  }
+}
+
+if (exportButton) {
+  exportButton.addEventListener('click', downloadTranscript);
+}
+
+// --- REFLECTION DRAFT ---
+
+const reflectionPanel = document.getElementById('reflectionPanel');
+const reflectionForm = document.getElementById('reflectionForm');
+const reflectionSections = document.getElementById('reflectionSections');
+const reflectionStatus = document.getElementById('reflectionStatus');
+const reflectionButton = document.getElementById('reflectionBtn');
+let reflectionConversationId = null;
+
+function renderReflection(reflection) {
+  reflectionSections.replaceChildren(...reflection.sections.map(section => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'reflection-section';
+
+    const id = `reflection-${section.phase}`;
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = I18n.t(`phase.${section.phase}`);
+
+    const textarea = document.createElement('textarea');
+    textarea.id = id;
+    textarea.dataset.phase = section.phase;
+    textarea.value = section.text;
+
+    wrapper.append(label, textarea);
+    return wrapper;
+  }));
+
+  reflectionStatus.textContent = reflection.status === 'edited' && reflection.updated_at
+    ? I18n.t('reflection.saved', { time: new Date(reflection.updated_at).toLocaleString() })
+    : I18n.t('reflection.draft');
+}
+
+async function openReflection() {
+  if (!persistentConversationId) {
+    alert(I18n.t('reflection.none'));
+    return;
+  }
+
+  reflectionConversationId = persistentConversationId;
+  try {
+    const response = await fetch(`/api/conversations/${reflectionConversationId}/reflection`, {
+      headers: { 'Authorization': `Bearer ${sessionStorage.getItem('authToken')}` }
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || 'Could not load reflection');
+    }
+
+    renderReflection(result);
+    reflectionPanel.hidden = false;
+  } catch (err) {
+    console.error('Reflection load failed:', err);
+    alert(I18n.t('reflection.loadFailed', { error: err.message }));
+  }
+}
+
+async function saveReflection(e) {
+  e.preventDefault();
+
+  const sections = [...reflectionSections.querySelectorAll('textarea')].map(textarea => ({
+    phase: textarea.dataset.phase,
+    text: textarea.value
+  }));
+
+  reflectionStatus.textContent = I18n.t('reflection.saving');
+  try {
+    const response = await fetch(`/api/conversations/${reflectionConversationId}/reflection`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${sessionStorage.getItem('authToken')}`
+      },
+      body: JSON.stringify({ sections })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || 'Save failed');
+    }
+
+    reflectionStatus.textContent = I18n.t('reflection.saved', { time: new Date(result.updated_at).toLocaleString() });
+  } catch (err) {
+    console.error('Reflection save failed:', err);
+    reflectionStatus.textContent = I18n.t('reflection.notSaved', { error: err.message });
+  }
+}
+
+// Finishing ends the voice session; the server drafts the reflection on
+// stop, so the panel opens once that is done
+async function finishSession() {
+  await stopSession();
+  openReflection();
+}
+
+if (reflectionForm) {
+  reflectionForm.addEventListener('submit', saveReflection);
+  document.getElementById('reflectionCloseBtn').addEventListener('click', () => {
+    reflectionPanel.hidden = true;
+  });
+}
+
+if (reflectionButton) {
+  reflectionButton.addEventListener('click', openReflection);
+}
+
+if (finishButton) {
+  finishButton.addEventListener('click', finishSession);
+}
+
+// --- VOICE SETTINGS ---
+
+const settingsPanel = document.getElementById('settingsPanel');
+const settingsForm = document.getElementById('settingsForm');
+const settingsFields = document.getElementById('settingsFields');
+const settingsStatus = document.getElementById('settingsStatus');
+const settingsButton = document.getElementById('settingsBtn');
+
+const SETTING_FORMATS = {
+  speed: (value) => `${value.toFixed(2)}×`,
+  silence_duration_ms: (value) => `${(value / 1000).toFixed(1)} s`,
+  vad_threshold: (value) => `${Math.round(value * 100)}%`
+};
+
+function updateSettingOutputs() {
+  for (const [name, format] of Object.entries(SETTING_FORMATS)) {
+    settingsForm.querySelector(`output[data-for="${name}"]`).textContent = format(Number(settingsForm.elements[name].value));
+  }
+}
+
+function renderSettings({ settings, locked, options }) {
+  const voiceSelect = settingsForm.elements.voice;
+  voiceSelect.replaceChildren(...options.voices.map(voice => {
+    const option = document.createElement('option');
+    option.value = voice;
+    option.textContent = voice.charAt(0).toUpperCase() + voice.slice(1);
+    return option;
+  }));
+  voiceSelect.value = settings.voice;
+
+  for (const [name, [min, max, step]] of Object.entries(options.ranges)) {
+    const input = settingsForm.elements[name];
+    Object.assign(input, { min, max, step });
+    input.value = settings[name];
+  }
+
+  settingsFields.disabled = locked;
+  document.getElementById('settingsSaveBtn').disabled = locked;
+  document.getElementById('settingsLocked').hidden = !locked;
+  updateSettingOutputs();
+}
+
+async function settingsRequest(options = {}) {
+  const response = await fetch('/api/settings', {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${sessionStorage.getItem('authToken')}`
+    }
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed (${response.status})`);
+  }
+  return result;
+}
+
+async function openSettings() {
+  try {
+    renderSettings(await settingsRequest());
+    settingsStatus.textContent = '';
+    settingsPanel.hidden = false;
+  } catch (err) {
+    console.error('Settings load failed:', err);
+    alert(I18n.t('settings.loadFailed', { error: err.message }));
+  }
+}
+
+async function saveSettings(e) {
+  e.preventDefault();
+
+  const { elements } = settingsForm;
+  const settings = {
+    voice: elements.voice.value,
+    speed: Number(elements.speed.value),
+    silence_duration_ms: Number(elements.silence_duration_ms.value),
+    vad_threshold: Number(elements.vad_threshold.value)
+  };
+
+  settingsStatus.textContent = I18n.t('settings.saving');
+  try {
+    renderSettings(await settingsRequest({ method: 'PUT', body: JSON.stringify({ settings }) }));
+    settingsStatus.textContent = I18n.t('settings.saved');
+  } catch (err) {
+    console.error('Settings save failed:', err);
+    settingsStatus.textContent = I18n.t('settings.notSaved', { error: err.message });
+  }
+}
+
+if (settingsForm) {
+  settingsForm.addEventListener('submit', saveSettings);
+  settingsForm.addEventListener('input', updateSettingOutputs);
+  document.getElementById('settingsCloseBtn').addEventListener('click', () => {
+    settingsPanel.hidden = true;
+  });
+}
+
+if (settingsButton) {
+  settingsButton.addEventListener('click', openSettings);
+}
+
 // --- PAGE VISIBILITY ---
 
 document.addEventListener('visibilitychange', () => {
@@ -0,0 +1,87 @@
+// Durable copy of the current conversation's finished participant turns in
+// IndexedDB, keyed by conversation id and the sequence number the server
+// gives each turn. Once a session is ready script.js sends the buffer in a
+// `resync` message, the server fills in the numbered turns it lost (see
+// lib/transcript-sync.js for what it accepts) and answers with the
+// sequences it holds, which are dropped from the buffer again.
+//
+// Every method resolves even where IndexedDB is unavailable (e.g. some
+// private browsing modes); the session then simply runs without the buffer.
+
+const TranscriptStore = (() => {
+  const DB_NAME = 'lexi-transcripts';
+  const DB_VERSION = 1;
+  const STORE = 'turns';
+
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: ['conversationId', 'sequence'] });
+          store.createIndex('conversationId', 'conversationId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Runs fn(store) in one transaction; resolves with the result of the
+  // request fn returns (if any) once the transaction has committed
+  async function withStore(mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function warn(action, err) {
+    console.warn(`⚠️ Transcript buffer: could not ${action}:`, err.message || err);
+  }
+
+  async function put(username, conversationId, turn) {
+    try {
+      await withStore('readwrite', store => store.put({ ...turn, username, conversationId }));
+    } catch (err) {
+      warn('store a turn', err);
+    }
+  }
+
+  // The user's buffered turns for one conversation, in sequence order
+  async function list(username, conversationId) {
+    try {
+      const records = await withStore('readonly', store => store.index('conversationId').getAll(conversationId));
+      return records
+        .filter(record => record.username === username)
+        .map(({ username: _username, conversationId: _conversationId, ...turn }) => turn);
+    } catch (err) {
+      warn('read the buffer', err);
+      return [];
+    }
+  }
+
+  async function forget(conversationId, sequences) {
+    if (!sequences || sequences.length === 0) return;
+    try {
+      await withStore('readwrite', store => {
+        sequences.forEach(sequence => store.delete([conversationId, sequence]));
+      });
+    } catch (err) {
+      warn('clear synced turns', err);
+    }
+  }
+
+  return { put, list, forget };
+})();
@@ -0,0 +1,81 @@
+// Per-turn audio archive. Collects the PCM16 audio that passes through the
+// proxy and cuts it into one WAV file per turn: user turns are delimited by
+// the server VAD's speech_started/speech_stopped events, assistant turns by
+// the response they belong to.
+export const ARCHIVE_SAMPLE_RATE = 24000;
+const BYTES_PER_SAMPLE = 2;
+
+export function encodeWav(pcm, sampleRate = ARCHIVE_SAMPLE_RATE) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);                              // fmt chunk size
+  header.writeUInt16LE(1, 20);                               // PCM
+  header.writeUInt16LE(1, 22);                               // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * BYTES_PER_SAMPLE, 28);   // byte rate
+  header.writeUInt16LE(BYTES_PER_SAMPLE, 32);                // block align
+  header.writeUInt16LE(16, 34);                              // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+export function audioKey(username, conversationId, turnId, role) {
+  return `${username}/${conversationId}/${turnId}-${role}.wav`;
+}
+
+// prerollMs keeps the audio just before speech_started, matching the VAD's
+// prefix padding so the first syllable is not cut off.
+export function createTurnRecorder({ prerollMs = 500, sampleRate = ARCHIVE_SAMPLE_RATE } = {}) {
+  const prerollBytes = Math.round(prerollMs / 1000 * sampleRate) * BYTES_PER_SAMPLE;
+  let preroll = [];
+  let prerollLength = 0;
+  let userChunks = null;
+  let assistantChunks = [];
+
+  function appendInput(base64Audio) {
+    const chunk = Buffer.from(base64Audio, 'base64');
+
+    if (userChunks) {
+      userChunks.push(chunk);
+      return;
+    }
+
+    preroll.push(chunk);
+    prerollLength += chunk.length;
+    while (preroll.length > 1 && prerollLength - preroll[0].length >= prerollBytes) {
+      prerollLength -= preroll.shift().length;
+    }
+  }
+
+  function startUserTurn() {
+    const buffered = Buffer.concat(preroll);
+    userChunks = [buffered.subarray(Math.max(0, buffered.length - prerollBytes))];
+    preroll = [];
+    prerollLength = 0;
+  }
+
+  // Returns the PCM of the turn, or null if no turn was open
+  function stopUserTurn() {
+    if (!userChunks) return null;
+    const pcm = Buffer.concat(userChunks);
+    userChunks = null;
+    return pcm;
+  }
+
+  function appendOutput(base64Audio) {
+    assistantChunks.push(Buffer.from(base64Audio, 'base64'));
+  }
+
+  function takeAssistantTurn() {
+    if (assistantChunks.length === 0) return null;
+    const pcm = Buffer.concat(assistantChunks);
+    assistantChunks = [];
+    return pcm;
+  }
+
+  return { appendInput, startUserTurn, stopUserTurn, appendOutput, takeAssistantTurn };
+}
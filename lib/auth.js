@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import { CLOSE_CODES } from './protocol.js';
+
+// Stored password format: scrypt$<salt hex>$<hash hex>
+const HASH_SCHEME = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+const DEFAULT_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+// WebSocket close codes for the `start` handshake (see client/protocol.js)
+export const WS_CLOSE_UNAUTHORIZED = CLOSE_CODES.UNAUTHORIZED;
+export const WS_CLOSE_FORBIDDEN = CLOSE_CODES.FORBIDDEN;
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+      if (err) reject(err);
+      else resolve(derivedKey);
+    });
+  });
+}
+
+export function isHashedPassword(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${HASH_SCHEME}$`);
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const hash = await scrypt(password, salt);
+  return `${HASH_SCHEME}$${salt}$${hash.toString('hex')}`;
+}
+
+// Returns { valid, needsRehash }. Rows that still hold a plaintext password
+// are accepted once so they can be upgraded to a hash on successful login.
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isHashedPassword(stored)) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, salt, hashHex] = stored.split('$');
+  if (!salt || !hashHex) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt);
+  const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  return { valid, needsRehash: false };
+}
+
+// In-memory session tokens. Tokens are lost on restart, which simply
+// sends participants back to the login page.
+export function createSessionStore({ ttlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+  const sessions = new Map();
+
+  function create(username) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + ttlMs;
+    sessions.set(token, { username, expiresAt });
+    return { token, expiresAt };
+  }
+
+  function get(token) {
+    if (!token) return null;
+    const session = sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+    return { token, ...session };
+  }
+
+  function revoke(token) {
+    return sessions.delete(token);
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [token, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(token);
+    }
+  }
+
+  return { create, get, revoke, prune };
+}
+
+export function getBearerToken(req) {
+  const header = req.headers['authorization'] || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Same rule login.html applies before storing the username, so conversation
+// rows and fallback filenames keep the identifier they always had.
+export function sanitizeUsername(username) {
+  return String(username).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+// New accounts must already be in sanitized form; otherwise "bob.1" and
+// "bob_1" would share one set of conversations and reflections.
+export function isValidUsername(username) {
+  return typeof username === 'string' && /^[A-Za-z0-9_-]+$/.test(username);
+}
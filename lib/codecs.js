@@ -0,0 +1,223 @@
+// Audio codecs on the two links the proxy sits between. Inside the proxy
+// audio is always PCM16 mono at 24 kHz (what the archive and metrics expect);
+// each session picks
+//
+//   - an upstream format for the Realtime API (config REALTIME_AUDIO_FORMAT):
+//     'pcm16', or G.711 'g711_ulaw' / 'g711_alaw' at 8 kHz, which the proxy
+//     transcodes to and from 24 kHz PCM16, and
+//   - a client codec, negotiated from the browser's `audioCodecs` list in the
+//     start message: 'opus' (20 ms packets, needs the optional opusscript
+//     package here and WebCodecs in the browser) or 'pcm16'.
+import { ARCHIVE_SAMPLE_RATE } from './audio-archive.js';
+// Same windowed-sinc resampler the browser's capture worklet uses
+import { createResampler } from '../client/capture-worklet.js';
+
+export const UPSTREAM_AUDIO_FORMATS = ['pcm16', 'g711_ulaw', 'g711_alaw'];
+export const CLIENT_AUDIO_CODECS = ['opus', 'pcm16'];
+
+const G711_SAMPLE_RATE = 8000;
+const OPUS_FRAME_SAMPLES = ARCHIVE_SAMPLE_RATE / 50; // 20 ms
+const OPUS_FRAME_BYTES = OPUS_FRAME_SAMPLES * 2;
+const OPUS_BITRATE = 24000;
+
+// --- G.711 (ITU-T reference algorithm) ---
+
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 8159;
+const ULAW_SEGMENT_ENDS = [0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF, 0x1FFF];
+const ALAW_SEGMENT_ENDS = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+function segment(value, ends) {
+  const index = ends.findIndex(end => value <= end);
+  return index === -1 ? ends.length : index;
+}
+
+export function encodeUlawSample(sample) {
+  let value = sample >> 2;
+  let mask = 0xFF;
+  if (value < 0) {
+    value = -value;
+    mask = 0x7F;
+  }
+  value = Math.min(value, ULAW_CLIP) + (ULAW_BIAS >> 2);
+
+  const seg = segment(value, ULAW_SEGMENT_ENDS);
+  if (seg >= 8) return 0x7F ^ mask;
+  return ((seg << 4) | ((value >> (seg + 1)) & 0x0F)) ^ mask;
+}
+
+export function decodeUlawSample(byte) {
+  const value = ~byte & 0xFF;
+  const magnitude = ((((value & 0x0F) << 3) + ULAW_BIAS) << ((value & 0x70) >> 4)) - ULAW_BIAS;
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+export function encodeAlawSample(sample) {
+  let value = sample >> 3;
+  let mask = 0xD5;
+  if (value < 0) {
+    value = -value - 1;
+    mask = 0x55;
+  }
+
+  const seg = segment(value, ALAW_SEGMENT_ENDS);
+  if (seg >= 8) return 0x7F ^ mask;
+  const mantissa = seg < 2 ? (value >> 1) & 0x0F : (value >> seg) & 0x0F;
+  return ((seg << 4) | mantissa) ^ mask;
+}
+
+export function decodeAlawSample(byte) {
+  const value = byte ^ 0x55;
+  const seg = (value & 0x70) >> 4;
+  let magnitude = (value & 0x0F) << 4;
+  if (seg === 0) {
+    magnitude += 8;
+  } else {
+    magnitude = (magnitude + 0x108) << (seg - 1);
+  }
+  return value & 0x80 ? magnitude : -magnitude;
+}
+
+const G711 = {
+  g711_ulaw: { encode: encodeUlawSample, decode: decodeUlawSample },
+  g711_alaw: { encode: encodeAlawSample, decode: decodeAlawSample }
+};
+
+// --- PCM16 <-> float for the resampler ---
+
+function pcmToFloat(pcm) {
+  const samples = new Float32Array(pcm.length >> 1);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = pcm.readInt16LE(i * 2) / 32768;
+  }
+  return samples;
+}
+
+function floatToPcm(samples) {
+  const pcm = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    pcm.writeInt16LE(Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF), i * 2);
+  }
+  return pcm;
+}
+
+// Returns { format, toUpstream(pcm), fromUpstream(bytes) } working on Buffers.
+// G.711 resamplers keep state across chunks, so use one codec per session.
+export function createUpstreamCodec(format = 'pcm16') {
+  if (format === 'pcm16') {
+    return { format, toUpstream: (pcm) => pcm, fromUpstream: (bytes) => bytes };
+  }
+
+  const law = G711[format];
+  if (!law) {
+    throw new Error(`Unknown upstream audio format "${format}". Use one of: ${UPSTREAM_AUDIO_FORMATS.join(', ')}`);
+  }
+
+  const down = createResampler(ARCHIVE_SAMPLE_RATE, G711_SAMPLE_RATE);
+  const up = createResampler(G711_SAMPLE_RATE, ARCHIVE_SAMPLE_RATE);
+
+  function toUpstream(pcm) {
+    const samples = down.push(pcmToFloat(pcm));
+    const bytes = Buffer.alloc(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      const s = Math.max(-1, Math.min(1, samples[i]));
+      bytes[i] = law.encode(Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF));
+    }
+    return bytes;
+  }
+
+  function fromUpstream(bytes) {
+    const samples = new Float32Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+      samples[i] = law.decode(bytes[i]) / 32768;
+    }
+    return floatToPcm(up.push(samples));
+  }
+
+  return { format, toUpstream, fromUpstream };
+}
+
+// --- Client link ---
+
+let opusScript; // undefined until the first attempt, null if unavailable
+
+export async function loadOpus() {
+  if (opusScript === undefined) {
+    try {
+      opusScript = (await import('opusscript')).default;
+    } catch (error) {
+      console.warn('⚠️ Opus unavailable (install opusscript to enable it):', error.message);
+      opusScript = null;
+    }
+  }
+  return opusScript;
+}
+
+// Client codecs: decode(frame) -> PCM16 Buffer; encode(pcm) -> frames to
+// send; flush() -> the last, zero-padded frame of a response; discard()
+// drops buffered output after an interruption; close() frees the encoder.
+function createPcmClientCodec() {
+  return {
+    name: 'pcm16',
+    decode: (frame) => frame,
+    encode: (pcm) => [pcm],
+    flush: () => [],
+    discard() {},
+    close() {}
+  };
+}
+
+function createOpusClientCodec(OpusScript) {
+  const opus = new OpusScript(ARCHIVE_SAMPLE_RATE, 1, OpusScript.Application.VOIP);
+  opus.setBitrate(OPUS_BITRATE);
+  let pending = Buffer.alloc(0);
+
+  // opusscript returns views into its wasm heap; copy before keeping them
+  const encodeFrame = (frame) => Buffer.from(opus.encode(frame, OPUS_FRAME_SAMPLES));
+
+  function encode(pcm) {
+    pending = Buffer.concat([pending, pcm]);
+    const packets = [];
+    while (pending.length >= OPUS_FRAME_BYTES) {
+      packets.push(encodeFrame(pending.subarray(0, OPUS_FRAME_BYTES)));
+      pending = pending.subarray(OPUS_FRAME_BYTES);
+    }
+    return packets;
+  }
+
+  function flush() {
+    if (pending.length === 0) return [];
+    const frame = Buffer.alloc(OPUS_FRAME_BYTES);
+    pending.copy(frame);
+    pending = Buffer.alloc(0);
+    return [encodeFrame(frame)];
+  }
+
+  return {
+    name: 'opus',
+    decode: (packet) => Buffer.from(opus.decode(packet)),
+    encode,
+    flush,
+    discard() {
+      pending = Buffer.alloc(0);
+    },
+    close() {
+      opus.delete();
+    }
+  };
+}
+
+// Picks the first codec in the client's preference list that this server
+// can handle; PCM16 always works
+export async function createClientCodec(requested) {
+  const preferences = Array.isArray(requested) ? requested : [];
+  for (const name of preferences) {
+    if (name === 'pcm16') return createPcmClientCodec();
+    if (name === 'opus') {
+      const OpusScript = await loadOpus();
+      if (OpusScript) return createOpusClientCodec(OpusScript);
+    }
+  }
+  return createPcmClientCodec();
+}
@@ -0,0 +1,166 @@
+// Study condition registry. Each condition bundles everything that differs
+// between arms of a between-subjects study: prompt, voice, turn detection,
+// greeting and modality. Prompts are referenced by id and version from the
+// prompts/ directory (see lib/prompts.js). Participants are assigned once and keep their
+// condition across sessions.
+//
+// Extra or overriding conditions can be supplied as a JSON file (config
+// CONDITIONS_FILE, default ./conditions.json) keyed by condition id; fields
+// not given fall back to the default condition. `greeting` may be a single
+// template or one per locale, and `locale_prompt_variables` overrides
+// prompt_variables for one locale (e.g. a translated topic).
+import fs from 'fs';
+import { DEFAULT_PROMPT_VARIABLES, loadPrompt, renderTemplate } from './prompts.js';
+import { DEFAULT_LOCALE, LOCALES, SUPPORTED_LOCALES } from './locales.js';
+
+export const DEFAULT_CONDITION_ID = 'C';
+
+const DEFAULT_CONDITIONS = {
+  [DEFAULT_CONDITION_ID]: {
+    label: 'Voice facilitator (Gibbs reflective cycle)',
+    prompt: { id: 'gibbs-reflection', version: 'v1' },
+    prompt_variables: {},
+    voice: 'alloy',
+    speed: 1.0,
+    modalities: ['text', 'audio'],
+    turn_detection: {
+      type: 'server_vad',
+      threshold: 0.8,
+      prefix_padding_ms: 500,
+      silence_duration_ms: 3000
+    },
+    // Keep a WAV file per user/assistant turn (see lib/audio-archive.js)
+    audio_archive: false,
+    // Ignore participants' voice/pace/turn-taking settings (see lib/settings.js)
+    lock_settings: false,
+    greeting: {
+      en: 'Hello there, I am {{persona}}. I am here to assist you in writing the self-reflection on the {{topic}} you wrote. Can you describe your experience there?',
+      de: 'Hallo, ich bin {{persona}}. Ich unterstütze dich beim Schreiben der Selbstreflexion zu deiner {{topic}}. Kannst du beschreiben, wie es dir dabei ergangen ist?',
+      es: 'Hola, soy {{persona}}. Estoy aquí para ayudarte a escribir la autorreflexión sobre tu {{topic}}. ¿Puedes describir tu experiencia?'
+    },
+    locale_prompt_variables: {}
+  }
+};
+
+export const ASSIGNMENT_STRATEGIES = ['balanced', 'random'];
+
+export function loadConditions(config) {
+  const file = config.CONDITIONS_FILE || './conditions.json';
+  let fileConditions = {};
+
+  if (fs.existsSync(file)) {
+    fileConditions = JSON.parse(fs.readFileSync(file));
+    console.log(`🧪 Loaded study conditions from ${file}`);
+  }
+
+  const base = DEFAULT_CONDITIONS[DEFAULT_CONDITION_ID];
+  const conditions = new Map();
+
+  for (const [id, condition] of Object.entries({ ...DEFAULT_CONDITIONS, ...fileConditions })) {
+    conditions.set(id, {
+      ...base,
+      ...condition,
+      prompt: { ...base.prompt, ...(condition.prompt || {}) },
+      turn_detection: { ...base.turn_detection, ...(condition.turn_detection || {}) },
+      greeting: typeof condition.greeting === 'object' && condition.greeting !== null
+        ? { ...base.greeting, ...condition.greeting }
+        : condition.greeting || base.greeting,
+      id
+    });
+  }
+
+  // Fail at startup rather than mid-session on a missing template or variable
+  for (const condition of conditions.values()) {
+    for (const locale of SUPPORTED_LOCALES) {
+      renderConditionPrompt(condition, locale);
+    }
+  }
+
+  // Only these take part in assignment; others stay available for manual use
+  const active = config.ACTIVE_CONDITIONS || [...conditions.keys()];
+  for (const id of active) {
+    if (!conditions.has(id)) {
+      throw new Error(`ACTIVE_CONDITIONS references unknown condition "${id}"`);
+    }
+  }
+
+  return { conditions, active };
+}
+
+// Returns { id, version, locale, text, hash, greeting } for the condition's prompt
+export function renderConditionPrompt(condition, locale = DEFAULT_LOCALE) {
+  const variables = {
+    ...DEFAULT_PROMPT_VARIABLES,
+    ...LOCALES[locale].prompt_variables,
+    ...condition.prompt_variables,
+    ...(condition.locale_prompt_variables || {})[locale]
+  };
+  const prompt = loadPrompt(condition.prompt.id, condition.prompt.version, variables, { locale });
+  const greeting = typeof condition.greeting === 'string'
+    ? condition.greeting
+    : condition.greeting[locale] || condition.greeting[DEFAULT_LOCALE];
+  return { ...prompt, greeting: renderTemplate(greeting, variables) };
+}
+
+// counts: { [conditionId]: number of users already assigned }
+export function pickCondition(active, counts = {}, strategy = 'balanced') {
+  if (active.length === 0) {
+    throw new Error('No active study conditions');
+  }
+
+  if (strategy === 'random') {
+    return active[Math.floor(Math.random() * active.length)];
+  }
+
+  const fewest = Math.min(...active.map(id => counts[id] || 0));
+  const candidates = active.filter(id => (counts[id] || 0) === fewest);
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+export function countAssignments(users) {
+  const counts = {};
+  for (const user of users) {
+    if (user.condition) {
+      counts[user.condition] = (counts[user.condition] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+// Binds assignment to a storage backend: chooseCondition picks an arm for a
+// new participant, resolveUserCondition returns (and backfills) an existing one
+export function createConditionAssigner({ storage, conditions, active, strategy = 'balanced' }) {
+  async function chooseCondition() {
+    const counts = countAssignments(await storage.listUsers());
+    return pickCondition(active, counts, strategy);
+  }
+
+  // Returns the participant's condition, assigning and persisting one for
+  // accounts created before conditions existed. An assignment is never
+  // changed: a condition missing from the registry (or a storage failure) is
+  // an error, not a reason to move the participant to another arm.
+  async function resolveUserCondition(accountName) {
+    const user = await storage.getUser(accountName);
+    if (!user) {
+      const err = new Error(`No user record for ${accountName}`);
+      err.code = 'USER_NOT_FOUND';
+      throw err;
+    }
+
+    if (user.condition) {
+      if (!conditions.has(user.condition)) {
+        const err = new Error(`${accountName} is assigned to condition "${user.condition}", which is not configured`);
+        err.code = 'UNKNOWN_CONDITION';
+        throw err;
+      }
+      return conditions.get(user.condition);
+    }
+
+    const conditionId = await chooseCondition();
+    await storage.updateUser(accountName, { condition: conditionId });
+    console.log(`🧪 Assigned ${accountName} to condition ${conditionId}`);
+    return conditions.get(conditionId);
+  }
+
+  return { chooseCondition, resolveUserCondition };
+}
@@ -0,0 +1,158 @@
+// Conversation persistence on top of a storage backend: debounced saves with
+// retries, a local-file fallback when the primary backend keeps failing, and
+// reads that merge both.
+import { DEFAULT_CONDITION_ID } from './conditions.js';
+import { isNewerConversation } from './storage/records.js';
+
+export function createConversationService({ storage, fallbackStorage = null, retries = 3, retryDelay = 2000 }) {
+  // sessionId -> { username, conversationId, messageCount, lastSaveTime }
+  const activeSessions = new Map();
+
+  async function retryOperation(operation) {
+    for (let i = 0; i < retries; i++) {
+      try {
+        return await operation();
+      } catch (error) {
+        console.log(`⚠️ Attempt ${i + 1}/${retries} failed:`, error.message);
+        if (i === retries - 1) throw error;
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+      }
+    }
+  }
+
+  function logSaveResult(result, backendName, label, messageCount) {
+    if (result === 'inserted') {
+      console.log(`💾 Conversation saved to ${backendName}: ${label} (${messageCount} messages)`);
+    } else if (result === 'updated') {
+      console.log(`💾 Conversation updated in ${backendName}: ${label} (${messageCount} messages)`);
+    } else {
+      console.log(`⏭️ Skipped ${backendName} save (no new messages): ${label}`);
+    }
+  }
+
+  async function saveFallbackLocal(conversationData) {
+    if (!fallbackStorage) return;
+    try {
+      const result = await fallbackStorage.saveConversation(conversationData);
+      logSaveResult(result, 'local files (fallback)', `${conversationData.username}_${conversationData.condition}`, conversationData.total_messages);
+    } catch (localError) {
+      console.error('❌ Local save also failed:', localError);
+    }
+  }
+
+  async function saveConversation(username, conversationId, messages, sessionId = null, forceImmediate = false, metadata = {}) {
+    if (!messages || messages.length === 0) {
+      console.log('⏭️ No messages to save');
+      return;
+    }
+
+    const label = `${username}_${metadata.condition || DEFAULT_CONDITION_ID}`;
+
+    if (!forceImmediate && sessionId && activeSessions.has(sessionId)) {
+      const session = activeSessions.get(sessionId);
+      const now = Date.now();
+
+      if (session.messageCount === messages.length) {
+        console.log(`⏭️ Skipped save (no new messages): ${label}`);
+        return;
+      }
+
+      if (session.lastSaveTime && (now - session.lastSaveTime) < 1000) {
+        console.log(`⏭️ Skipped save (debounce): ${label}`);
+        return;
+      }
+
+      session.messageCount = messages.length;
+      session.lastSaveTime = now;
+    } else if (sessionId) {
+      activeSessions.set(sessionId, {
+        username,
+        conversationId,
+        messageCount: messages.length,
+        lastSaveTime: Date.now()
+      });
+    }
+
+    const conversationData = {
+      username: username,
+      conversation_id: conversationId,
+      condition: DEFAULT_CONDITION_ID,
+      ...metadata,
+      timestamp: new Date().toISOString(),
+      messages: messages,
+      total_messages: messages.length,
+      updated_at: new Date().toISOString()
+    };
+
+    try {
+      const result = await retryOperation(() => storage.saveConversation(conversationData));
+      logSaveResult(result, storage.name, label, messages.length);
+    } catch (error) {
+      console.error('❌ Error saving conversation:', error);
+      await saveFallbackLocal(conversationData);
+    }
+  }
+
+  // Reads check the fallback files too, since a save that failed remotely
+  // only exists there.
+  async function loadUserConversation(username, conversationId) {
+    let record = null;
+    try {
+      record = await storage.loadConversation(username, conversationId);
+    } catch (error) {
+      console.error(`⚠️ Could not load from ${storage.name}:`, error.message);
+    }
+
+    if (fallbackStorage) {
+      const local = await fallbackStorage.loadConversation(username, conversationId);
+      if (local && isNewerConversation(local, record)) {
+        record = local;
+      }
+    }
+    return record;
+  }
+
+  // Newest copy of each conversation across the primary and fallback stores
+  async function mergedConversations({ username, includeMessages = false } = {}) {
+    const byId = new Map();
+    const sources = [storage, fallbackStorage].filter(Boolean);
+
+    for (const source of sources) {
+      let records = [];
+      try {
+        records = await source.listConversations({ username, includeMessages });
+      } catch (error) {
+        console.error(`⚠️ Could not list conversations from ${source.name}:`, error.message);
+        continue;
+      }
+      for (const record of records) {
+        const key = `${record.username}\u0000${record.conversation_id}`;
+        const existing = byId.get(key);
+        if (isNewerConversation(record, existing)) {
+          byId.set(key, record);
+        }
+      }
+    }
+    return [...byId.values()];
+  }
+
+  async function listUserConversations(username) {
+    return (await mergedConversations({ username }))
+      .map(record => ({
+        conversation_id: record.conversation_id,
+        condition: record.condition,
+        locale: record.locale || null,
+        timestamp: record.timestamp,
+        updated_at: record.updated_at,
+        total_messages: record.total_messages
+      }))
+      .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+  }
+
+  // Every participant's conversations with messages, for study-wide reports
+  function listAllConversations() {
+    return mergedConversations({ includeMessages: true });
+  }
+
+  return { activeSessions, saveConversation, loadUserConversation, listUserConversations, listAllConversations };
+}
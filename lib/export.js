@@ -0,0 +1,212 @@
+// Transcript export: renders one stored conversation as Markdown, plain
+// text, WebVTT or DOCX. Assistant turns that were interrupted or cut off by a
+// lost connection are marked in every format.
+import { createZip } from './zip.js';
+
+export const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  docx: {
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  }
+};
+
+const SPEAKERS = { user: 'Participant', assistant: 'Facilitator' };
+const INTERRUPTED_LABEL = 'interrupted';
+const DROPPED_LABEL = 'connection lost';
+
+// Cue length used for the last message, scaled by word count
+const SECONDS_PER_WORD = 0.4;
+const MIN_CUE_SECONDS = 1;
+
+function speakerFor(message) {
+  return SPEAKERS[message.role] || message.role;
+}
+
+// Why an assistant turn ends early, if it does
+function endMarker(message) {
+  if (message.dropped) return DROPPED_LABEL;
+  if (message.interrupted) return INTERRUPTED_LABEL;
+  return null;
+}
+
+function orderedMessages(record) {
+  return [...(record.messages || [])]
+    .filter(m => m.role === 'user' || m.role === 'assistant')
+    .sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0));
+}
+
+function sessionStart(messages, record) {
+  const times = messages
+    .map(m => Date.parse(m.timestamp))
+    .filter(t => !Number.isNaN(t));
+  if (times.length > 0) return Math.min(...times);
+  const fallback = Date.parse(record.timestamp);
+  return Number.isNaN(fallback) ? 0 : fallback;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function formatClock(ms, { withMillis = false } = {}) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const clock = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  return withMillis ? `${clock}.${pad(total % 1000, 3)}` : clock;
+}
+
+function offsetOf(message, start) {
+  const t = Date.parse(message.timestamp);
+  return Number.isNaN(t) ? 0 : t - start;
+}
+
+function title(record) {
+  return `Reflection conversation ${record.conversation_id}`;
+}
+
+export function renderMarkdown(record) {
+  const messages = orderedMessages(record);
+  const start = sessionStart(messages, record);
+  const lines = [
+    `# ${title(record)}`,
+    '',
+    `- Participant: ${record.username}`,
+    `- Started: ${start ? new Date(start).toISOString() : 'unknown'}`,
+    `- Messages: ${messages.length}`,
+    ''
+  ];
+
+  for (const message of messages) {
+    const label = endMarker(message);
+    const marker = label ? ` _(${label})_` : '';
+    lines.push(`**${speakerFor(message)}** \`${formatClock(offsetOf(message, start))}\`${marker}`);
+    lines.push('');
+    lines.push(message.content || '');
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+export function renderText(record) {
+  const messages = orderedMessages(record);
+  const start = sessionStart(messages, record);
+  const lines = [title(record), `Participant: ${record.username}`, ''];
+
+  for (const message of messages) {
+    const label = endMarker(message);
+    const marker = label ? ` [${label}]` : '';
+    lines.push(`[${formatClock(offsetOf(message, start))}] ${speakerFor(message)}: ${message.content || ''}${marker}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+export function renderVtt(record) {
+  const messages = orderedMessages(record);
+  const start = sessionStart(messages, record);
+  const cues = ['WEBVTT', ''];
+
+  messages.forEach((message, index) => {
+    const cueStart = offsetOf(message, start);
+    const next = messages[index + 1];
+    const words = (message.content || '').split(/\s+/).filter(Boolean).length;
+    let cueEnd = next
+      ? offsetOf(next, start)
+      : cueStart + Math.max(MIN_CUE_SECONDS, words * SECONDS_PER_WORD) * 1000;
+    if (cueEnd <= cueStart) {
+      cueEnd = cueStart + MIN_CUE_SECONDS * 1000;
+    }
+
+    // Cue text may not contain raw "&", "<" or "-->"
+    const text = (message.content || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    const label = endMarker(message);
+    const marker = label ? ` [${label}]` : '';
+    cues.push(String(index + 1));
+    cues.push(`${formatClock(cueStart, { withMillis: true })} --> ${formatClock(cueEnd, { withMillis: true })}`);
+    cues.push(`<v ${speakerFor(message)}>${text}${marker}`);
+    cues.push('');
+  });
+  return cues.join('\n');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function docxRun(text, { bold = false, italic = false } = {}) {
+  const props = `${bold ? '<w:b/>' : ''}${italic ? '<w:i/>' : ''}`;
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+function docxParagraph(runs) {
+  return `<w:p>${runs.join('')}</w:p>`;
+}
+
+export function renderDocx(record) {
+  const messages = orderedMessages(record);
+  const start = sessionStart(messages, record);
+
+  const paragraphs = [
+    docxParagraph([docxRun(title(record), { bold: true })]),
+    docxParagraph([docxRun(`Participant: ${record.username}`)]),
+    docxParagraph([docxRun(`Started: ${start ? new Date(start).toISOString() : 'unknown'}`)])
+  ];
+
+  for (const message of messages) {
+    const runs = [
+      docxRun(`${speakerFor(message)} `, { bold: true }),
+      docxRun(`[${formatClock(offsetOf(message, start))}] `),
+      docxRun(message.content || '')
+    ];
+    const label = endMarker(message);
+    if (label) {
+      runs.push(docxRun(` (${label})`, { italic: true }));
+    }
+    paragraphs.push(docxParagraph(runs));
+  }
+
+  const documentXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:body>${paragraphs.join('')}</w:body></w:document>`;
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+        '</Relationships>'
+    },
+    { name: 'word/document.xml', data: documentXml }
+  ]);
+}
+
+export function renderTranscript(record, format) {
+  switch (format) {
+    case 'md': return renderMarkdown(record);
+    case 'txt': return renderText(record);
+    case 'vtt': return renderVtt(record);
+    case 'docx': return renderDocx(record);
+    default: throw new Error(`Unsupported export format: ${format}`);
+  }
+}
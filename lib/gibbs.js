@@ -0,0 +1,115 @@
+// Gibbs' Reflective Cycle phase tracking. The prompt tells the model to open
+// each of the six phases with a fixed question; the tracker recognises those
+// questions in assistant transcripts, counts follow-up questions per phase
+// and tells the caller which phase every message belongs to.
+//
+// The canonical questions are read from the rendered prompt itself (its
+// numbered list), so they always match the prompt version in use.
+export const GIBBS_PHASES = [
+  { key: 'description', name: 'Description' },
+  { key: 'feelings', name: 'Feelings' },
+  { key: 'evaluation', name: 'Evaluation' },
+  { key: 'analysis', name: 'Analysis' },
+  { key: 'conclusion', name: 'Conclusion' },
+  { key: 'action_plan', name: 'Action Plan' }
+];
+
+// Share of a question's words that must appear in a transcript to count as
+// the model asking it (allows for small rewordings by the model)
+const QUESTION_MATCH_THRESHOLD = 0.8;
+
+function normalizeWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+export function extractPhaseQuestions(promptText) {
+  const questions = [];
+  for (const line of String(promptText).split(/\r?\n/)) {
+    const match = line.match(/^\s*([1-6])\.\s+(.+?)\s*$/);
+    if (match && Number(match[1]) === questions.length + 1) {
+      questions.push(match[2]);
+    }
+  }
+  return questions.length === GIBBS_PHASES.length ? questions : null;
+}
+
+function coverage(questionWords, transcriptWords) {
+  if (questionWords.length === 0) return 0;
+  const present = new Set(transcriptWords);
+  const hits = questionWords.filter(word => present.has(word)).length;
+  return hits / questionWords.length;
+}
+
+export function createPhaseTracker(questions) {
+  const questionWords = questions.map(normalizeWords);
+  let currentIndex = -1;
+  const followUps = GIBBS_PHASES.map(() => 0);
+
+  function matchQuestion(text) {
+    const words = normalizeWords(text);
+    let best = -1;
+    let bestScore = QUESTION_MATCH_THRESHOLD;
+    questionWords.forEach((qWords, index) => {
+      const score = coverage(qWords, words);
+      if (score >= bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  function currentPhase() {
+    return currentIndex >= 0 ? GIBBS_PHASES[currentIndex].key : null;
+  }
+
+  // Returns { phase, changed, followUp } for one finished assistant turn
+  function observeAssistant(text) {
+    const matched = matchQuestion(text);
+
+    // Phases only move forward; re-asking an earlier question is a follow-up
+    if (matched > currentIndex) {
+      currentIndex = matched;
+      return { phase: currentPhase(), changed: true, followUp: false };
+    }
+
+    const followUp = currentIndex >= 0 && String(text || '').includes('?');
+    if (followUp) {
+      followUps[currentIndex]++;
+    }
+    return { phase: currentPhase(), changed: false, followUp };
+  }
+
+  // Rebuild state from stored messages after a resume
+  function replay(messages) {
+    for (const message of messages) {
+      if (message.role === 'assistant') observeAssistant(message.content);
+    }
+  }
+
+  function snapshot() {
+    return {
+      phase: currentPhase(),
+      index: currentIndex,
+      follow_ups: Object.fromEntries(GIBBS_PHASES.map((p, i) => [p.key, followUps[i]]))
+    };
+  }
+
+  return { observeAssistant, currentPhase, replay, snapshot };
+}
+
+export function phaseChangedMessage(tracker) {
+  const { index } = tracker.snapshot();
+  const phase = GIBBS_PHASES[index];
+  return {
+    type: 'phase_changed',
+    phase: phase ? phase.key : null,
+    name: phase ? phase.name : null,
+    index,
+    total: GIBBS_PHASES.length
+  };
+}
@@ -0,0 +1,33 @@
+// Participant locales. A locale picks the translated prompt template
+// (prompts/<id>/<version>.<locale>.md, falling back to the English
+// <version>.md), the language the facilitator answers in, the whisper
+// transcription hint and the client UI strings (client/i18n.js).
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+  en: {
+    label: 'English',
+    prompt_variables: { language: 'English', topic: 'term paper' }
+  },
+  de: {
+    label: 'Deutsch',
+    prompt_variables: { language: 'German', topic: 'Hausarbeit' }
+  },
+  es: {
+    label: 'Español',
+    prompt_variables: { language: 'Spanish', topic: 'trabajo final' }
+  }
+};
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+// Accepts browser-style tags ('de-AT', 'es_ES'); anything unsupported maps
+// to the default so a stale or malformed value never breaks a session
+export function resolveLocale(value) {
+  const base = String(value || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : DEFAULT_LOCALE;
+}
+
+export function isSupportedLocale(value) {
+  return SUPPORTED_LOCALES.includes(value);
+}
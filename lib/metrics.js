@@ -0,0 +1,118 @@
+// Turn-level responsiveness metrics. A turn ends when the participant stops
+// speaking (server VAD speech_stopped) or submits typed text; from there we
+// measure how long the model takes to start a response and to produce its
+// first audio. Each message carries its own `metrics` object and the
+// conversation stores an aggregate (summarizeMetrics) so slow sessions can be
+// found and compared across conditions.
+import { ARCHIVE_SAMPLE_RATE } from './audio-archive.js';
+
+// pcm16 mono at the Realtime API's 24 kHz
+const OUTPUT_BYTES_PER_MS = (ARCHIVE_SAMPLE_RATE * 2) / 1000;
+
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+export function createTurnMetrics({ now = Date.now } = {}) {
+  let speechStartedAt = null;
+  let speechStartAudioMs = null;
+  let turnEndedAt = null;
+  let response = null;
+  const speakingMs = new Map(); // input item_id -> ms
+
+  function speechStarted(event = {}) {
+    speechStartedAt = now();
+    speechStartAudioMs = Number.isFinite(event.audio_start_ms) ? event.audio_start_ms : null;
+  }
+
+  function speechStopped(event = {}) {
+    turnEndedAt = now();
+    // Prefer the VAD's own audio timeline; fall back to wall clock
+    const ms = Number.isFinite(event.audio_end_ms) && speechStartAudioMs !== null
+      ? event.audio_end_ms - speechStartAudioMs
+      : speechStartedAt !== null ? turnEndedAt - speechStartedAt : null;
+    if (event.item_id && ms !== null) speakingMs.set(event.item_id, ms);
+    speechStartedAt = null;
+    speechStartAudioMs = null;
+  }
+
+  function textSubmitted() {
+    turnEndedAt = now();
+  }
+
+  function takeUserMetrics(itemId) {
+    const ms = speakingMs.has(itemId) ? speakingMs.get(itemId) : null;
+    speakingMs.delete(itemId);
+    return { speaking_ms: ms };
+  }
+
+  function responseCreated() {
+    response = { createdAt: now(), firstAudioAt: null, audioBytes: 0, turnEndedAt };
+    turnEndedAt = null;
+  }
+
+  function audioDelta(base64) {
+    if (!response) return;
+    if (response.firstAudioAt === null) response.firstAudioAt = now();
+    response.audioBytes += Buffer.byteLength(base64 || '', 'base64');
+  }
+
+  // Latencies are null for responses nobody waited on (e.g. the greeting)
+  function takeAssistantMetrics(content) {
+    const current = response || { createdAt: null, firstAudioAt: null, audioBytes: 0, turnEndedAt: null };
+    response = null;
+
+    const since = (t) => (current.turnEndedAt !== null && t !== null ? t - current.turnEndedAt : null);
+    return {
+      response_latency_ms: since(current.createdAt),
+      first_audio_ms: since(current.firstAudioAt),
+      audio_ms: Math.round(current.audioBytes / OUTPUT_BYTES_PER_MS),
+      words: countWords(content)
+    };
+  }
+
+  return {
+    speechStarted,
+    speechStopped,
+    textSubmitted,
+    takeUserMetrics,
+    responseCreated,
+    audioDelta,
+    takeAssistantMetrics
+  };
+}
+
+function distribution(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return {
+    count: sorted.length,
+    mean: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    median: at(0.5),
+    p90: at(0.9),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function metricValues(messages, role, key) {
+  return messages
+    .filter(m => m.role === role && m.metrics && Number.isFinite(m.metrics[key]))
+    .map(m => m.metrics[key]);
+}
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+export function summarizeMetrics(messages) {
+  const list = messages || [];
+  return {
+    user_turns: list.filter(m => m.role === 'user').length,
+    assistant_turns: list.filter(m => m.role === 'assistant').length,
+    interruptions: list.filter(m => m.role === 'assistant' && m.interrupted).length,
+    response_latency_ms: distribution(metricValues(list, 'assistant', 'response_latency_ms')),
+    first_audio_ms: distribution(metricValues(list, 'assistant', 'first_audio_ms')),
+    user_speaking_ms: sum(metricValues(list, 'user', 'speaking_ms')),
+    assistant_audio_ms: sum(metricValues(list, 'assistant', 'audio_ms')),
+    assistant_words: sum(metricValues(list, 'assistant', 'words'))
+  };
+}
@@ -0,0 +1,83 @@
+// Facilitator prompts live in versioned template files:
+//
+//   prompts/<promptId>/<version>.md            e.g. prompts/gibbs-reflection/v1.md
+//   prompts/<promptId>/<version>.<locale>.md   translated variant, e.g. v1.de.md
+//
+// Templates use {{variable}} placeholders. A wording change means adding a
+// new version file rather than editing an old one, so stored conversations
+// can always be traced back to the exact instructions they ran with (the
+// version plus a SHA-256 of the rendered text).
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_LOCALE } from './locales.js';
+
+export const PROMPTS_DIR = './prompts';
+
+export const DEFAULT_PROMPT_VARIABLES = {
+  topic: 'term paper',
+  language: 'English',
+  persona: 'Lexi'
+};
+
+const templateCache = new Map();
+
+function listVersions(promptDir) {
+  return fs.readdirSync(promptDir)
+    .map(name => name.match(/^v(\d+)\.md$/))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+function resolveVersion(promptDir, version) {
+  if (version && version !== 'latest') return version;
+  const versions = listVersions(promptDir);
+  if (versions.length === 0) {
+    throw new Error(`No prompt versions found in ${promptDir}`);
+  }
+  return `v${versions[versions.length - 1]}`;
+}
+
+function readTemplate(file) {
+  if (!templateCache.has(file)) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Prompt template not found: ${file}`);
+    }
+    // Drop the file's trailing newline so it does not end up in the prompt
+    templateCache.set(file, fs.readFileSync(file, 'utf8').replace(/\r?\n$/, ''));
+  }
+  return templateCache.get(file);
+}
+
+export function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    if (!(name in variables)) {
+      throw new Error(`Missing prompt variable "${name}"`);
+    }
+    return String(variables[name]);
+  });
+}
+
+export function hashPrompt(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+// Returns { id, version, locale, text, hash }. `locale` is the template that
+// was actually used: a locale without a translated file gets the English one.
+export function loadPrompt(promptId, version = 'latest', variables = {}, { dir = PROMPTS_DIR, locale = DEFAULT_LOCALE } = {}) {
+  const promptDir = path.join(dir, promptId);
+  if (!fs.existsSync(promptDir)) {
+    throw new Error(`Unknown prompt "${promptId}" (no directory ${promptDir})`);
+  }
+
+  const resolvedVersion = resolveVersion(promptDir, version);
+  const localizedFile = path.join(promptDir, `${resolvedVersion}.${locale}.md`);
+  const templateLocale = locale !== DEFAULT_LOCALE && fs.existsSync(localizedFile) ? locale : DEFAULT_LOCALE;
+  const template = readTemplate(templateLocale === DEFAULT_LOCALE
+    ? path.join(promptDir, `${resolvedVersion}.md`)
+    : localizedFile);
+  const text = renderTemplate(template, { ...DEFAULT_PROMPT_VARIABLES, ...variables });
+
+  return { id: promptId, version: resolvedVersion, locale: templateLocale, text, hash: hashPrompt(text) };
+}
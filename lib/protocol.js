@@ -0,0 +1,14 @@
+// Server-side entry to the browser <-> server WebSocket protocol. The catalog
+// lives in client/protocol.js so the browser can load the same file as a
+// classic script; importing it defines globalThis.VoiceProtocol.
+import '../client/protocol.js';
+
+export const {
+  VERSION: PROTOCOL_VERSION,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  ERROR_CODES,
+  CLOSE_CODES,
+  parseClientMessage,
+  validateServerMessage
+} = globalThis.VoiceProtocol;
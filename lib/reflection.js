@@ -0,0 +1,52 @@
+// Written self-reflection drafted from a finished session: the participant's
+// own turns grouped under the six Gibbs headings. The draft is a starting
+// point the participant edits in the client; the saved document is stored
+// separately from the conversation (storage saveReflection/loadReflection).
+import { GIBBS_PHASES } from './gibbs.js';
+
+export const REFLECTION_STATUS = {
+  DRAFT: 'draft',   // compiled by the server, not yet touched
+  EDITED: 'edited'  // saved by the participant; never overwritten by a new draft
+};
+
+// Turns before the first recognised phase question answer the greeting,
+// which asks for a description of the experience
+function phaseOf(message) {
+  return GIBBS_PHASES.some(p => p.key === message.phase) ? message.phase : GIBBS_PHASES[0].key;
+}
+
+export function buildReflectionDraft(messages) {
+  const answers = new Map(GIBBS_PHASES.map(p => [p.key, []]));
+
+  const userTurns = (messages || [])
+    .filter(m => m.role === 'user' && typeof m.content === 'string' && m.content.trim() !== '')
+    .sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0));
+
+  for (const message of userTurns) {
+    answers.get(phaseOf(message)).push(message.content.trim());
+  }
+
+  return GIBBS_PHASES.map(({ key, name }) => ({
+    phase: key,
+    heading: name,
+    text: answers.get(key).join('\n\n')
+  }));
+}
+
+// Accepts edited sections from the client, keeping only known phases in
+// canonical order; returns null when the payload is not usable
+export function normalizeReflectionSections(sections) {
+  if (!Array.isArray(sections)) return null;
+
+  const byPhase = new Map();
+  for (const section of sections) {
+    if (!section || typeof section.text !== 'string') return null;
+    byPhase.set(section.phase, section.text);
+  }
+
+  return GIBBS_PHASES.map(({ key, name }) => ({
+    phase: key,
+    heading: name,
+    text: byPhase.get(key) || ''
+  }));
+}
@@ -0,0 +1,930 @@
+// One participant's voice session: authenticates the client socket, opens the
+// upstream Realtime connection and relays events both ways while building
+// the conversation transcript. Kept free of Express/WebSocketServer so it can
+// be driven with fake sockets (see test/session.test.js).
+import WebSocket from 'ws';
+import { sanitizeUsername, WS_CLOSE_FORBIDDEN, WS_CLOSE_UNAUTHORIZED } from './auth.js';
+import { renderConditionPrompt } from './conditions.js';
+import { ARCHIVE_SAMPLE_RATE, audioKey, createTurnRecorder, encodeWav } from './audio-archive.js';
+import { createPhaseTracker, extractPhaseQuestions, phaseChangedMessage } from './gibbs.js';
+import { buildReflectionDraft, REFLECTION_STATUS } from './reflection.js';
+import { createTurnMetrics, summarizeMetrics } from './metrics.js';
+import { DEFAULT_LOCALE, resolveLocale } from './locales.js';
+import { clientVadFor, resolveSettings, turnDetectionFor } from './settings.js';
+import { createClientCodec, createUpstreamCodec } from './codecs.js';
+import { mergeClientTurns } from './transcript-sync.js';
+import { CLOSE_CODES, ERROR_CODES, parseClientMessage, PROTOCOL_VERSION } from './protocol.js';
+import { addUsage, usageFromResponse } from './usage.js';
+
+// 'binary' sends audio frames (in the negotiated client codec, see
+// lib/codecs.js) as raw WebSocket frames in both directions; 'json' is the
+// original base64-in-JSON framing. Control messages are JSON either way.
+const AUDIO_TRANSPORTS = ['json', 'binary'];
+
+// Backoff before each attempt to reopen a dropped upstream socket; the
+// participant gets an error once they are used up
+const RECONNECT_DELAYS_MS = [500, 1000, 2000, 4000, 8000];
+// Input audio (PCM16) held while reconnecting; older audio is dropped first
+const INPUT_BYTES_PER_MS = ARCHIVE_SAMPLE_RATE * 2 / 1000;
+const MAX_BUFFERED_INPUT_BYTES = 3000 * INPUT_BYTES_PER_MS;
+
+export function createConnectionHandler({
+  config,
+  authSessions,
+  storage,
+  conversations,
+  resolveUserCondition,
+  createUpstream = (url, options) => new WebSocket(url, options),
+  greetingDelayMs = 500,
+  reconnectDelaysMs = RECONNECT_DELAYS_MS,
+  autoSaveIntervalMs = 10000
+}) {
+  const { activeSessions, saveConversation, loadUserConversation } = conversations;
+
+  async function loadUserPreferences(accountName) {
+    try {
+      const user = await storage.getUser(accountName);
+      return { locale: resolveLocale(user && user.locale), settings: (user && user.settings) || null };
+    } catch (error) {
+      console.error('⚠️ Could not load user preferences, using defaults:', error.message);
+      return { locale: DEFAULT_LOCALE, settings: null };
+    }
+  }
+
+  return function handleConnection(clientWs, req) {
+    console.log('Client connected');
+
+    // The token may come on the upgrade URL (?token=...) or in the start message
+    const upgradeToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+  
+    // Set by the first start; later ones are refused
+    let started = false;
+    let username = null;
+    let conversationId = null;
+    let sessionId = null;
+    let condition = null;
+    let locale = DEFAULT_LOCALE;
+    let voiceSettings = null;
+    // Negotiated per start message; binary frames from the client are
+    // accepted either way
+    let audioTransport = 'json';
+    // Chosen per start message; until then audio passes through as PCM16
+    let clientCodec = null;
+    let upstreamCodec = createUpstreamCodec('pcm16');
+    let sessionPrompt = null;
+    let phaseTracker = null;
+    // Only set when the participant's condition archives audio
+    let turnRecorder = null;
+    const pendingUserAudioKeys = new Map(); // input item_id -> audio key
+    // Cancelled responses report their usage after the turn was recorded
+    const interruptedResponses = new Map(); // response id -> message sequence
+    // Stored alongside every save of this conversation
+    const conversationMeta = {};
+    const conversationMessages = [];
+    let messageSequence = 0;
+    const turnMetrics = createTurnMetrics();
+  
+    let openaiWs = null;
+    let activeResponse = false;
+    let currentResponseId = null;
+    let currentAssistantMessage = { role: 'assistant', content: '', timestamp: null, interrupted: false };
+    let isReconnection = false;
+    // Upstream reconnection: set when the proxy closes the socket itself, so
+    // only unexpected drops of a session that did open are retried
+    let closingUpstream = false;
+    let upstreamOpened = false;
+    let greetOnStart = false;
+    let reconnectAttempt = 0;
+    let reconnectTimer = null;
+    let bufferedInput = [];
+    let bufferedInputBytes = 0;
+    let droppedInputBytes = 0;
+
+    // FIX: capture user speech start time so user timestamp is always
+    // earlier than the assistant timestamp set at response.created
+    let pendingUserTimestamp = null;
+  
+    function sendError(code, message) {
+      clientWs.send(JSON.stringify({ type: 'error', code, message }));
+    }
+
+    // Recorded message -> id of its item in the upstream conversation, so
+    // turns recovered later can be slotted in after the right item
+    const contextItemIds = new Map();
+    let contextItemCount = 0;
+
+    // Appends a finished turn and refreshes the conversation-level metrics.
+    // Returns the turn's sequence, which the client keys its copy by.
+    function recordMessage(message, itemId = null) {
+      const sequence = messageSequence++;
+      const record = { sequence, ...message };
+      conversationMessages.push(record);
+      if (itemId) contextItemIds.set(record, itemId);
+      conversationMeta.metrics = summarizeMetrics(conversationMessages);
+      return sequence;
+    }
+
+    // Tags a finished assistant turn with its Gibbs phase and notifies the
+    // client when the dialogue moves on to a new phase
+    function trackAssistantPhase(content) {
+      if (!phaseTracker) return {};
+
+      const { phase, changed, followUp } = phaseTracker.observeAssistant(content);
+      conversationMeta.gibbs_progress = phaseTracker.snapshot();
+      if (changed) {
+        console.log(`🧭 Gibbs phase: ${phase}`);
+        clientWs.send(JSON.stringify(phaseChangedMessage(phaseTracker)));
+      }
+      return followUp ? { phase, follow_up: true } : { phase };
+    }
+
+    // Uploads one turn's audio in the background and returns its storage key,
+    // so the message can link it before the upload finishes
+    function archiveTurnAudio(pcm, turnId, role) {
+      if (!pcm || pcm.length === 0 || !username) return null;
+
+      const key = audioKey(username, conversationId, turnId, role);
+      storage.saveAudio(key, encodeWav(pcm))
+        .then(() => console.log(`🎙️ Archived ${role} audio: ${key}`))
+        .catch(error => console.error(`❌ Failed to archive audio ${key}:`, error.message));
+      return key;
+    }
+
+    function archiveAssistantAudio(responseId) {
+      if (!turnRecorder) return {};
+      const key = archiveTurnAudio(turnRecorder.takeAssistantTurn(), responseId, 'assistant');
+      return key ? { audio_key: key } : {};
+    }
+
+    // Compiles the participant's answers into a reflection draft when the
+    // session ends, unless they have already edited and saved one
+    async function saveReflectionDraft() {
+      try {
+        const existing = await storage.loadReflection(username, conversationId);
+        if (existing && existing.status === REFLECTION_STATUS.EDITED) return;
+
+        await storage.saveReflection({
+          username,
+          conversation_id: conversationId,
+          status: REFLECTION_STATUS.DRAFT,
+          sections: buildReflectionDraft(conversationMessages),
+          updated_at: new Date().toISOString()
+        });
+        console.log(`📝 Reflection draft saved: ${username}_${conversationId}`);
+      } catch (error) {
+        console.error('❌ Failed to save reflection draft:', error.message);
+      }
+    }
+
+    // Cancels the response in progress (user barged in by voice or text) and
+    // keeps what was said so far as an interrupted assistant turn. A response
+    // cut off by an upstream drop is kept as `dropped` instead: that was not
+    // the participant's doing, so it stays out of the interruption counts and
+    // is answered again once reconnected.
+    function interruptActiveResponse({ dropped = false } = {}) {
+      if (!activeResponse || !currentResponseId) return;
+
+      console.log(dropped ? '⚠️ Response lost with the upstream connection:' : '⚠️ Interrupting current response:', currentResponseId);
+    
+      currentAssistantMessage.content += '...';
+      if (clientCodec) clientCodec.discard();
+    
+      const sequence = recordMessage({
+        role: currentAssistantMessage.role,
+        content: currentAssistantMessage.content,
+        timestamp: currentAssistantMessage.timestamp,
+        interrupted: !dropped,
+        ...(dropped ? { dropped: true } : {}),
+        metrics: turnMetrics.takeAssistantMetrics(currentAssistantMessage.content),
+        ...trackAssistantPhase(currentAssistantMessage.content),
+        ...archiveAssistantAudio(currentResponseId)
+      }, dropped ? null : currentAssistantMessage.itemId);
+      interruptedResponses.set(currentResponseId, sequence);
+    
+      if (username) {
+        saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+      }
+    
+      if (openaiWs.readyState === 1) {
+        openaiWs.send(JSON.stringify({ type: 'response.cancel' }));
+      }
+      clientWs.send(JSON.stringify({ type: 'response_interrupted', sequence, ...(dropped ? { reason: 'dropped' } : {}) }));
+      activeResponse = false;
+      currentResponseId = null;
+      currentAssistantMessage = { role: 'assistant', content: '', timestamp: null, interrupted: false };
+    }
+
+    let lastSavedMessageCount = 0;
+    const autoSaveInterval = setInterval(() => {
+      if (conversationMessages.length > lastSavedMessageCount && username && conversationId) {
+        console.log('⏰ Auto-save triggered (10s interval)');
+        saveConversation(username, conversationId, conversationMessages, sessionId, false, conversationMeta);
+        lastSavedMessageCount = conversationMessages.length;
+      }
+    }, autoSaveIntervalMs);
+    autoSaveInterval.unref();
+
+    // Client frame (client codec) -> PCM16 for the archive -> upstream format
+    function forwardInputAudio(frame) {
+      if (!openaiWs || (openaiWs.readyState !== 1 && reconnectAttempt === 0)) return;
+
+      let pcm;
+      try {
+        pcm = clientCodec ? clientCodec.decode(frame) : frame;
+      } catch (error) {
+        console.error('⚠️ Dropped undecodable audio frame:', error.message);
+        return;
+      }
+      if (turnRecorder) turnRecorder.appendInput(pcm.toString('base64'));
+      if (openaiWs.readyState !== 1) {
+        bufferInputAudio(pcm);
+        return;
+      }
+      openaiWs.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: upstreamCodec.toUpstream(pcm).toString('base64') }));
+    }
+
+    function sendOutputFrames(frames) {
+      for (const frame of frames) {
+        if (audioTransport === 'binary') {
+          clientWs.send(frame);
+        } else {
+          clientWs.send(JSON.stringify({ type: 'assistant_audio_delta', audio: frame.toString('base64') }));
+        }
+      }
+    }
+
+    // Upstream delta -> PCM16 for archive and metrics -> client codec
+    function sendOutputAudio(delta) {
+      const pcm = upstreamCodec.fromUpstream(Buffer.from(delta, 'base64'));
+      const base64 = pcm.toString('base64');
+      if (turnRecorder) turnRecorder.appendOutput(base64);
+      turnMetrics.audioDelta(base64);
+      sendOutputFrames(clientCodec ? clientCodec.encode(pcm) : [pcm]);
+    }
+
+    function sessionUpdate() {
+      return {
+        type: 'session.update',
+        session: {
+          modalities: condition.modalities,
+          instructions: sessionPrompt.text,
+          voice: voiceSettings.voice,
+          speed: voiceSettings.speed,
+          input_audio_format: upstreamCodec.format,
+          output_audio_format: upstreamCodec.format,
+          input_audio_transcription: { model: 'whisper-1', language: locale },
+          turn_detection: turnDetectionFor(condition, voiceSettings),
+          temperature: 1.0,
+          max_response_output_tokens: 800
+        }
+      };
+    }
+
+    // Dropped turns are left out of the model's context: it answers that
+    // turn again
+    function inContext(msg) {
+      return (msg.role === 'user' || msg.role === 'assistant') && !msg.dropped;
+    }
+
+    function sendContextItem(msg, previousItemId = null) {
+      const id = `item_lexi_${++contextItemCount}`;
+      contextItemIds.set(msg, id);
+      openaiWs.send(JSON.stringify({
+        type: 'conversation.item.create',
+        ...(previousItemId ? { previous_item_id: previousItemId } : {}),
+        item: {
+          id,
+          type: 'message',
+          role: msg.role,
+          content: [{ type: msg.role === 'user' ? 'input_text' : 'text', text: msg.content }]
+        }
+      }));
+    }
+
+    // Replays finished turns as context items (timestamps and metadata stay here)
+    function restoreContext(messages) {
+      console.log(`🔄 Restoring context for OpenAI (${messages.length} items)...`);
+      messages.filter(inContext).forEach(msg => sendContextItem(msg));
+      console.log('✅ Context restored.');
+    }
+
+    // Recovered turns go in at their sequence position: after the closest
+    // earlier turn the model has, or at the very start
+    function insertRecoveredContext(added) {
+      const recovered = added.filter(inContext).sort((a, b) => a.sequence - b.sequence);
+      console.log(`🔄 Inserting ${recovered.length} recovered turn(s) into the OpenAI context...`);
+      for (const msg of recovered) {
+        const earlier = conversationMessages.slice(0, conversationMessages.indexOf(msg));
+        const previous = earlier.reverse().find(m => contextItemIds.has(m));
+        sendContextItem(msg, previous ? contextItemIds.get(previous) : 'root');
+      }
+    }
+
+    // Keeps the most recent input audio while the upstream is down, so the
+    // start of what the participant says during a short outage still arrives
+    function bufferInputAudio(pcm) {
+      bufferedInput.push(pcm);
+      bufferedInputBytes += pcm.length;
+      while (bufferedInputBytes > MAX_BUFFERED_INPUT_BYTES) {
+        const dropped = bufferedInput.shift();
+        bufferedInputBytes -= dropped.length;
+        droppedInputBytes += dropped.length;
+      }
+    }
+
+    function flushInputAudio() {
+      if (droppedInputBytes > 0) {
+        console.log(`⚠️ Dropped ${Math.round(droppedInputBytes / INPUT_BYTES_PER_MS)}ms of input audio while reconnecting`);
+      }
+      for (const pcm of bufferedInput) {
+        openaiWs.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: upstreamCodec.toUpstream(pcm).toString('base64') }));
+      }
+      bufferedInput = [];
+      bufferedInputBytes = 0;
+      droppedInputBytes = 0;
+    }
+
+    function scheduleReconnect() {
+      if (reconnectAttempt >= reconnectDelaysMs.length) {
+        console.error(`❌ Realtime API unreachable after ${reconnectAttempt} reconnection attempts`);
+        reconnectAttempt = 0;
+        bufferedInput = [];
+        bufferedInputBytes = 0;
+        droppedInputBytes = 0;
+        sendError(ERROR_CODES.UPSTREAM_UNAVAILABLE, 'Connection error with OpenAI.');
+        return;
+      }
+
+      const delayMs = reconnectDelaysMs[reconnectAttempt++];
+      console.log(`🔁 Reconnecting to Realtime API in ${delayMs}ms (attempt ${reconnectAttempt}/${reconnectDelaysMs.length})`);
+      clientWs.send(JSON.stringify({ type: 'reconnecting', attempt: reconnectAttempt, maxAttempts: reconnectDelaysMs.length, delayMs }));
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        // A greeting cut off by the drop is given again from the start
+        connectUpstream({ history: conversationMessages, greet: greetOnStart && conversationMessages.every(m => m.dropped) });
+      }, delayMs);
+      reconnectTimer.unref();
+    }
+
+    function closeUpstream() {
+      closingUpstream = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      reconnectAttempt = 0;
+      if (openaiWs) openaiWs.close();
+    }
+
+    function connectUpstream({ history, greet }) {
+      const url = `${config.REALTIME_URL}?model=${encodeURIComponent(config.REALTIME_MODEL)}`;
+
+      const headers = { 'OpenAI-Beta': 'realtime=v1' };
+      if (config.OPENAI_KEY) {
+        headers['Authorization'] = `Bearer ${config.OPENAI_KEY}`;
+      }
+      const upstream = createUpstream(url, { headers });
+      openaiWs = upstream;
+
+      upstream.on('open', () => {
+        console.log(`✅ Connected to Realtime API (${config.REALTIME_URL})`);
+        const reconnected = reconnectAttempt > 0;
+        upstreamOpened = true;
+        // Items of the previous socket's conversation are gone
+        contextItemIds.clear();
+
+        // 1. Send Session Update
+        upstream.send(JSON.stringify(sessionUpdate()));
+        if (!reconnected) {
+          clientWs.send(JSON.stringify({ type: 'connection_ready', protocolVersion: PROTOCOL_VERSION, audioTransport, audioCodec: clientCodec.name }));
+        }
+
+        // 2. Restore Conversation History for OpenAI Context
+        if (history.length > 0) {
+          restoreContext(history);
+          if (!reconnected) {
+            clientWs.send(JSON.stringify({ type: 'history_restored', messageCount: history.length }));
+            if (phaseTracker && phaseTracker.currentPhase()) {
+              clientWs.send(JSON.stringify(phaseChangedMessage(phaseTracker)));
+            }
+          }
+        }
+
+        if (reconnected) {
+          console.log(`✅ Realtime API reconnected after ${reconnectAttempt} attempt(s)`);
+          clientWs.send(JSON.stringify({ type: 'reconnected', attempt: reconnectAttempt, messageCount: history.length }));
+          reconnectAttempt = 0;
+          flushInputAudio();
+
+          // Answer a participant turn whose response was lost or cut off
+          // with the old socket
+          const last = history[history.length - 1];
+          if (!greet && last && (last.role === 'user' || last.dropped)) {
+            upstream.send(JSON.stringify({ type: 'response.create', response: { modalities: condition.modalities } }));
+            return;
+          }
+        }
+
+        // 3. Greeting (Only if NEW session and NO history)
+        if (greet) {
+          setTimeout(() => {
+            if (upstream !== openaiWs || upstream.readyState !== 1) return;
+            console.log('🎤 Sending initial greeting (first time)');
+            upstream.send(JSON.stringify({
+              type: 'conversation.item.create',
+              item: {
+                type: 'message',
+                role: 'user',
+                content: [{
+                  type: 'input_text',
+                  text: `Say "${sessionPrompt.greeting}"`
+                }]
+              }
+            }));
+
+            upstream.send(JSON.stringify({
+              type: 'response.create',
+              response: { modalities: condition.modalities }
+            }));
+          }, greetingDelayMs);
+        } else {
+          console.log('🔄 Resuming silently (pause resume or reconnection) - Waiting for user input');
+        }
+      });
+
+      upstream.on('message', (data) => {
+        // Late events from a socket that has been replaced
+        if (upstream !== openaiWs) return;
+
+        const event = JSON.parse(data.toString());
+      
+        if (event.type && !event.type.includes('audio.delta') && !event.type.includes('input_audio_buffer.append')) {
+          // Reduce log noise
+          if (event.type !== 'response.audio_transcript.delta' && event.type !== 'response.text.delta') {
+             console.log('Event:', event.type);
+          }
+        }
+
+        if (event.type === 'input_audio_buffer.speech_started') {
+          console.log('🎤 User started speaking');
+          // FIX: capture timestamp at the moment user starts speaking,
+          // so it is guaranteed to be earlier than response.created
+          pendingUserTimestamp = new Date().toISOString();
+          clientWs.send(JSON.stringify({ type: 'speech_started' }));
+          if (turnRecorder) turnRecorder.startUserTurn();
+          turnMetrics.speechStarted(event);
+        
+          interruptActiveResponse();
+        }
+
+        if (event.type === 'input_audio_buffer.speech_stopped') {
+          console.log('⏹️ User stopped speaking');
+          clientWs.send(JSON.stringify({ type: 'speech_stopped' }));
+          turnMetrics.speechStopped(event);
+
+          if (turnRecorder) {
+            const key = archiveTurnAudio(turnRecorder.stopUserTurn(), event.item_id || `turn_${Date.now()}`, 'user');
+            if (key) pendingUserAudioKeys.set(event.item_id, key);
+          }
+        }
+
+        if (event.type === 'conversation.item.input_audio_transcription.completed') {
+          console.log('📝 Transcription:', event.transcript);
+        
+          // FIX: use pendingUserTimestamp (set at speech_started) instead of
+          // new Date() here, which would be later than response.created
+          const sequence = recordMessage({
+            role: 'user',
+            content: event.transcript,
+            timestamp: pendingUserTimestamp || new Date().toISOString(),
+            phase: phaseTracker ? phaseTracker.currentPhase() : null,
+            input_modality: 'voice',
+            metrics: turnMetrics.takeUserMetrics(event.item_id),
+            ...(pendingUserAudioKeys.has(event.item_id) ? { audio_key: pendingUserAudioKeys.get(event.item_id) } : {})
+          }, event.item_id);
+          pendingUserAudioKeys.delete(event.item_id);
+          pendingUserTimestamp = null; // reset for next turn
+        
+          if (username) {
+            saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+          }
+        
+          clientWs.send(JSON.stringify({ type: 'user_transcription', text: event.transcript, inputModality: 'voice', sequence }));
+        }
+
+        if (event.type === 'response.created') {
+          console.log('🤖 Response created:', event.response.id);
+          activeResponse = true;
+          currentResponseId = event.response.id;
+          turnMetrics.responseCreated();
+          // Drop late audio from a cancelled response so it is not archived with this one
+          if (turnRecorder) turnRecorder.takeAssistantTurn();
+        
+          // Send thinking indicator to client
+          clientWs.send(JSON.stringify({ type: 'response_creating' }));
+        
+          // Timestamp set here (response.created) is always after speech_started,
+          // so assistant timestamp will always be >= user timestamp
+          currentAssistantMessage = {
+            role: 'assistant',
+            content: '',
+            timestamp: new Date().toISOString(),
+            interrupted: false,
+            itemId: null
+          };
+        }
+
+        if (event.type === 'response.output_item.added' && event.item && event.item.type === 'message') {
+          currentAssistantMessage.itemId = event.item.id;
+        }
+
+        if (event.type === 'response.text.delta') {
+          currentAssistantMessage.content += event.delta;
+          clientWs.send(JSON.stringify({ type: 'assistant_transcript_delta', text: event.delta }));
+        }
+      
+        if (event.type === 'response.audio_transcript.delta') {
+          currentAssistantMessage.content += event.delta;
+          clientWs.send(JSON.stringify({ type: 'assistant_transcript_delta', text: event.delta }));
+        }
+
+        if (event.type === 'response.audio_transcript.done') {
+          console.log('✅ Audio transcript complete:', event.transcript);
+        
+          if (event.transcript.length > currentAssistantMessage.content.length) {
+            currentAssistantMessage.content = event.transcript;
+          }
+        
+          clientWs.send(JSON.stringify({ type: 'assistant_transcript_complete', text: event.transcript }));
+        }
+
+        // Text-only conditions finish with text.done instead of audio_transcript.done
+        if (event.type === 'response.text.done') {
+          if (event.text.length > currentAssistantMessage.content.length) {
+            currentAssistantMessage.content = event.text;
+          }
+          clientWs.send(JSON.stringify({ type: 'assistant_transcript_complete', text: event.text }));
+        }
+
+        if (event.type === 'response.audio.delta') {
+          sendOutputAudio(event.delta);
+        }
+
+        // Opus sends whole 20 ms frames; pad out the end of the response
+        if (event.type === 'response.audio.done' && clientCodec) {
+          sendOutputFrames(clientCodec.flush());
+        }
+
+        if (event.type === 'response.done') {
+          console.log('✅ Response completed');
+          activeResponse = false;
+          currentResponseId = null;
+        
+          const usage = usageFromResponse(event.response.usage);
+          if (usage) {
+            conversationMeta.usage = addUsage(conversationMeta.usage, { responses: 1, ...usage });
+          }
+          const interruptedSequence = interruptedResponses.get(event.response.id);
+          interruptedResponses.delete(event.response.id);
+
+          // Stays undefined (and out of the message) when nothing was said
+          let sequence;
+          if (currentAssistantMessage.content.trim() !== '') {
+            sequence = recordMessage({
+              role: currentAssistantMessage.role,
+              content: currentAssistantMessage.content,
+              timestamp: currentAssistantMessage.timestamp,
+              interrupted: false,
+              metrics: turnMetrics.takeAssistantMetrics(currentAssistantMessage.content),
+              ...(usage ? { usage } : {}),
+              ...trackAssistantPhase(currentAssistantMessage.content),
+              ...archiveAssistantAudio(event.response.id)
+            }, currentAssistantMessage.itemId || (event.response.output && event.response.output[0] && event.response.output[0].id));
+          
+            if (username) {
+              saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+            }
+          } else if (usage) {
+            // A cancelled response's usage belongs to the turn it was cut off in
+            const interrupted = interruptedSequence !== undefined &&
+              conversationMessages.find(m => m.sequence === interruptedSequence);
+            if (interrupted) interrupted.usage = usage;
+            if (username) {
+              saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+            }
+          }
+        
+          currentAssistantMessage = { role: 'assistant', content: '', timestamp: null, interrupted: false };
+          clientWs.send(JSON.stringify({ type: 'response_complete', sequence }));
+        }
+
+        if (event.type === 'response.cancelled') {
+          console.log('❌ Response cancelled');
+          activeResponse = false;
+          currentResponseId = null;
+        }
+
+        if (event.type === 'error') {
+          console.error('❌ OpenAI API Error:', event.error);
+        
+          if (event.error.type === 'invalid_request_error') {
+            activeResponse = false;
+            currentResponseId = null;
+          }
+        
+          if (!event.error.message.includes('buffer too small') && 
+              !event.error.message.includes('active response')) {
+            sendError(ERROR_CODES.UPSTREAM_ERROR, event.error.message);
+          }
+        }
+      });
+
+      upstream.on('error', (err) => {
+        console.error('❌ OpenAI WebSocket Error:', err.message);
+        // 'close' follows and decides whether to reconnect
+      });
+
+      upstream.on('close', () => {
+        if (upstream !== openaiWs) return;
+        console.log('OpenAI connection closed');
+
+        if (conversationMessages.length > 0 && username) {
+          saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+          console.log(`📊 Final conversation stats for ${username}: ${conversationMessages.length} messages`);
+        }
+
+        if (closingUpstream) return;
+        if (!upstreamOpened) {
+          sendError(ERROR_CODES.UPSTREAM_UNAVAILABLE, 'Connection error with OpenAI.');
+          return;
+        }
+
+        // Unexpected drop mid-session: whatever the model was saying is lost
+        interruptActiveResponse({ dropped: true });
+        scheduleReconnect();
+      });
+    }
+
+
+    clientWs.on('message', async (message, isBinary) => {
+      if (isBinary) {
+        forwardInputAudio(message);
+        return;
+      }
+
+      // Malformed or unknown messages are answered, never acted on
+      const parsed = parseClientMessage(message.toString());
+      if (!parsed.ok) {
+        console.warn(`⚠️ Rejected client message (${parsed.code}): ${parsed.error}`);
+        sendError(parsed.code, parsed.error);
+        return;
+      }
+      const msg = parsed.message;
+
+      if (msg.type === 'start') {
+        if (msg.protocolVersion !== PROTOCOL_VERSION) {
+          console.log(`🚫 Rejected start: protocol version ${msg.protocolVersion}, server speaks ${PROTOCOL_VERSION}`);
+          sendError(ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION, `Protocol version ${msg.protocolVersion} is not supported; reload the page`);
+          clientWs.close(CLOSE_CODES.UNSUPPORTED_PROTOCOL_VERSION, 'Unsupported protocol version');
+          return;
+        }
+
+        // A second upstream on the same socket would leak the first one
+        if (started) {
+          console.log('🚫 Rejected start: session already started on this connection');
+          sendError(ERROR_CODES.SESSION_ALREADY_STARTED, 'This connection already has a session; reconnect to start a new one');
+          return;
+        }
+        started = true;
+
+        const authSession = authSessions.get(msg.token || upgradeToken);
+        if (!authSession) {
+          console.log('🚫 Rejected start: missing or expired session token');
+          clientWs.close(WS_CLOSE_UNAUTHORIZED, 'Unauthorized');
+          return;
+        }
+
+        const verifiedUsername = sanitizeUsername(authSession.username);
+        if (msg.username && msg.username !== verifiedUsername) {
+          console.log(`🚫 Rejected start: username ${msg.username} does not match session for ${verifiedUsername}`);
+          clientWs.close(WS_CLOSE_FORBIDDEN, 'Username mismatch');
+          return;
+        }
+
+        username = verifiedUsername;
+        audioTransport = AUDIO_TRANSPORTS.includes(msg.audioTransport) ? msg.audioTransport : 'json';
+        clientCodec = await createClientCodec(msg.audioCodecs);
+        upstreamCodec = createUpstreamCodec(config.REALTIME_AUDIO_FORMAT);
+        conversationMeta.audio_format = { client: clientCodec.name, upstream: upstreamCodec.format, transport: audioTransport };
+        try {
+          condition = await resolveUserCondition(authSession.username);
+        } catch (error) {
+          // Running the participant in some other arm would corrupt the study
+          console.error(`❌ No study condition for ${username}:`, error.message);
+          sendError(ERROR_CODES.CONDITION_UNAVAILABLE, 'Your study condition could not be loaded. Please contact the researchers.');
+          return;
+        }
+        conversationMeta.condition = condition.id;
+        const preferences = await loadUserPreferences(authSession.username);
+        locale = preferences.locale;
+        conversationMeta.locale = locale;
+        const { settings, locked } = resolveSettings(condition, preferences.settings);
+        voiceSettings = settings;
+        conversationMeta.settings = settings;
+        clientWs.send(JSON.stringify({ type: 'session_settings', settings, locked, clientVad: clientVadFor(settings) }));
+
+        sessionPrompt = renderConditionPrompt(condition, locale);
+        conversationMeta.prompt_id = sessionPrompt.id;
+        conversationMeta.prompt_version = sessionPrompt.version;
+        conversationMeta.prompt_hash = sessionPrompt.hash;
+
+        const phaseQuestions = extractPhaseQuestions(sessionPrompt.text);
+        phaseTracker = phaseQuestions ? createPhaseTracker(phaseQuestions) : null;
+        if (!phaseTracker) {
+          console.warn(`⚠️ Prompt ${sessionPrompt.id}@${sessionPrompt.version} has no six numbered phase questions - phase tracking disabled`);
+        }
+
+        turnRecorder = condition.audio_archive
+          ? createTurnRecorder({ prerollMs: condition.turn_detection.prefix_padding_ms })
+          : null;
+        sessionId = msg.sessionId || Date.now();
+        conversationId = msg.conversationId || sessionId;
+        isReconnection = msg.isReconnection || false;
+        const hasMessages = msg.hasMessages || false;
+        const isPauseResume = msg.isPauseResume || false;
+      
+        // History only ever comes from storage, never from the client, so a
+        // participant cannot write turns into their own record
+        let previousMessages = [];
+
+        // Resume from storage when the client names a conversation we already saved
+        if (conversationMessages.length === 0 && msg.conversationId) {
+          const stored = await loadUserConversation(username, conversationId);
+          if (stored && stored.messages && stored.messages.length > 0) {
+            previousMessages = stored.messages;
+            if (stored.usage) conversationMeta.usage = stored.usage;
+            console.log(`📂 Found stored conversation ${conversationId} (${previousMessages.length} messages)`);
+          }
+        }
+      
+        console.log(`👤 User: ${username} | Condition: ${condition.id} | Locale: ${locale} | Audio: ${clientCodec.name}/${audioTransport} -> ${upstreamCodec.format} | Prompt: ${sessionPrompt.id}@${sessionPrompt.version} | Session: ${sessionId} | Conversation: ${conversationId} | Reconnection: ${isReconnection} | Messages: ${previousMessages.length} | Pause Resume: ${isPauseResume}`);
+      
+        // Resuming a stored conversation: populate the local array
+        if (previousMessages.length > 0 && conversationMessages.length === 0) {
+          previousMessages.forEach(m => conversationMessages.push(m));
+          messageSequence = conversationMessages.reduce(
+            (next, m) => Math.max(next, (Number.isInteger(m.sequence) ? m.sequence : -1) + 1),
+            conversationMessages.length
+          );
+          console.log(`📥 Loaded ${conversationMessages.length} messages into local memory`);
+          conversationMeta.metrics = summarizeMetrics(conversationMessages);
+
+          if (phaseTracker) {
+            phaseTracker.replay(conversationMessages);
+            conversationMeta.gibbs_progress = phaseTracker.snapshot();
+          }
+        }
+
+        if (activeSessions.has(sessionId)) {
+          const existingConversationId = activeSessions.get(sessionId).conversationId;
+          console.log(`🔄 Reconnecting to existing conversation: ${existingConversationId}`);
+        } else {
+          console.log(`🆕 Using conversation: ${conversationId}`);
+        }
+      
+
+        greetOnStart = !isReconnection && !hasMessages && previousMessages.length === 0;
+        closingUpstream = false;
+        upstreamOpened = false;
+        connectUpstream({ history: previousMessages, greet: greetOnStart });
+      }
+
+      if (msg.type === 'audio') {
+        forwardInputAudio(Buffer.from(msg.audio, 'base64'));
+      }
+
+      if (msg.type === 'commit_audio' && openaiWs && openaiWs.readyState === 1) {
+        openaiWs.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+      }
+
+      // Typed input: same turn as a spoken one, but sent to the model as text.
+      // While reconnecting it is only recorded; the replay on reconnect
+      // includes it and asks for the response.
+      if (msg.type === 'text_input' && openaiWs && (openaiWs.readyState === 1 || reconnectAttempt > 0)) {
+        const text = typeof msg.text === 'string' ? msg.text.trim() : '';
+        if (!text) return;
+
+        console.log('⌨️ Typed input:', text);
+        interruptActiveResponse();
+
+        turnMetrics.textSubmitted();
+        const sequence = recordMessage({
+          role: 'user',
+          content: text,
+          timestamp: new Date().toISOString(),
+          phase: phaseTracker ? phaseTracker.currentPhase() : null,
+          input_modality: 'text'
+        });
+
+        if (username) {
+          saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+        }
+
+        // While reconnecting, the turn reaches the model with the replayed history
+        if (openaiWs.readyState === 1) {
+          sendContextItem(conversationMessages[conversationMessages.length - 1]);
+          openaiWs.send(JSON.stringify({
+            type: 'response.create',
+            response: { modalities: condition.modalities }
+          }));
+        }
+
+        clientWs.send(JSON.stringify({ type: 'user_transcription', text, inputModality: 'text', sequence }));
+      }
+
+      if (msg.type === 'stop') {
+        const requestNewSession = msg.requestNewSession || false;
+      
+        console.log(`🛑 Stop received (New session requested: ${requestNewSession})`);
+      
+        const saved = conversationMessages.length > 0 && Boolean(username && conversationId);
+        if (saved) {
+          console.log(`💾 Saving conversation before stop: ${username}_${conversationMeta.condition}_${conversationId} (${conversationMessages.length} messages)`);
+          await saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+          console.log(`✅ Conversation saved successfully`);
+          await saveReflectionDraft();
+        } else {
+          console.log('⚠️ No messages to save on stop');
+        }
+        clientWs.send(JSON.stringify({ type: 'stopped', saved }));
+      
+        if (requestNewSession && sessionId) {
+          activeSessions.delete(sessionId);
+          console.log(`🆕 Session ${sessionId} removed - next start will create NEW row`);
+        }
+      
+        closeUpstream();
+      }
+    
+      // The client's durable copy of this conversation (see
+      // lib/transcript-sync.js), sent once the session is ready
+      if (msg.type === 'resync' && username && conversationId) {
+        const added = mergeClientTurns(conversationMessages, msg.turns, messageSequence);
+        if (added.length > 0) {
+          console.log(`🩹 Recovered ${added.length} turn(s) from the client's transcript buffer`);
+          conversationMeta.metrics = summarizeMetrics(conversationMessages);
+          await saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+          if (openaiWs && openaiWs.readyState === 1) insertRecoveredContext(added);
+        }
+        clientWs.send(JSON.stringify({
+          type: 'resync_result',
+          added: added.map(m => m.sequence),
+          sequences: conversationMessages.map(m => m.sequence)
+        }));
+      }
+
+      if (msg.type === 'emergency_save') {
+        console.log('🚨 Emergency save requested by client');
+        if (conversationMessages.length > 0 && username && conversationId) {
+          await saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+        }
+      }
+    });
+
+    clientWs.on('close', () => {
+      console.log('Client disconnected');
+    
+      if (autoSaveInterval) {
+        clearInterval(autoSaveInterval);
+      }
+    
+      if (conversationMessages.length > 0 && username && conversationId) {
+        console.log(`💾 Final save on disconnect: ${username}_${conversationMeta.condition}_${conversationId} (${conversationMessages.length} messages)`);
+        saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+        console.log(`📊 Final conversation stats for ${username}: ${conversationMessages.length} messages`);
+      }
+    
+      if (sessionId) {
+        setTimeout(() => {
+          if (activeSessions.has(sessionId)) {
+            activeSessions.delete(sessionId);
+            console.log(`🧹 Session cleaned up after disconnect: ${sessionId}`);
+          }
+        }, 5000).unref();
+      }
+    
+      closeUpstream();
+      if (clientCodec) {
+        clientCodec.close();
+        clientCodec = null;
+      }
+    });
+
+    clientWs.on('error', (err) => {
+      console.error('Client WebSocket Error:', err.message);
+    
+      if (conversationMessages.length > 0 && username && conversationId) {
+        console.log('⚠️ Emergency save due to client error');
+        saveConversation(username, conversationId, conversationMessages, sessionId, true, conversationMeta);
+      }
+    });
+  };
+}
@@ -0,0 +1,96 @@
+// Per-participant voice settings: the facilitator's voice and speaking pace
+// and how long/loud a pause must be before the turn ends. Values are stored
+// on the user record (`settings`) and override the condition's defaults at
+// session start, unless the condition sets `lock_settings` because the study
+// design needs fixed values.
+
+export const VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+
+// [min, max, step] for the numeric settings
+export const SETTING_RANGES = {
+  speed: [0.7, 1.3, 0.05],
+  silence_duration_ms: [1000, 6000, 250],
+  vad_threshold: [0.5, 0.95, 0.05]
+};
+
+// Client-side VAD (client/script.js) commits the audio buffer a little after
+// the server's own silence window, and its RMS gate scales with the server
+// threshold: the original 0.8 / 0.05 pairing.
+const CLIENT_SILENCE_MARGIN_MS = 500;
+const CLIENT_LEVEL_PER_THRESHOLD = 0.05 / 0.8;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_SETTINGS';
+  return err;
+}
+
+// Validates a (partial) settings payload; unknown keys are rejected so a
+// typo does not silently do nothing
+export function normalizeSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw invalid('Settings must be an object');
+  }
+
+  const settings = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (key === 'voice') {
+      if (!VOICES.includes(value)) {
+        throw invalid(`Unknown voice. Use one of: ${VOICES.join(', ')}`);
+      }
+      settings.voice = value;
+    } else if (SETTING_RANGES[key]) {
+      const [min, max] = SETTING_RANGES[key];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw invalid(`${key} must be a number between ${min} and ${max}`);
+      }
+      settings[key] = key === 'silence_duration_ms' ? Math.round(value) : value;
+    } else {
+      throw invalid(`Unknown setting "${key}"`);
+    }
+  }
+  return settings;
+}
+
+export function conditionSettings(condition) {
+  return {
+    voice: condition.voice,
+    speed: condition.speed,
+    silence_duration_ms: condition.turn_detection.silence_duration_ms,
+    vad_threshold: condition.turn_detection.threshold
+  };
+}
+
+// Returns { settings, locked } with the values a session should use. Stored
+// values that no longer validate (e.g. a retired voice) are ignored.
+export function resolveSettings(condition, userSettings) {
+  const defaults = conditionSettings(condition);
+  if (condition.lock_settings) {
+    return { settings: defaults, locked: true };
+  }
+
+  const overrides = {};
+  for (const [key, value] of Object.entries(userSettings || {})) {
+    try {
+      Object.assign(overrides, normalizeSettings({ [key]: value }));
+    } catch {
+      // keep the condition default
+    }
+  }
+  return { settings: { ...defaults, ...overrides }, locked: false };
+}
+
+export function turnDetectionFor(condition, settings) {
+  return {
+    ...condition.turn_detection,
+    threshold: settings.vad_threshold,
+    silence_duration_ms: settings.silence_duration_ms
+  };
+}
+
+export function clientVadFor(settings) {
+  return {
+    level_threshold: Number((settings.vad_threshold * CLIENT_LEVEL_PER_THRESHOLD).toFixed(4)),
+    max_silence_ms: settings.silence_duration_ms + CLIENT_SILENCE_MARGIN_MS
+  };
+}
@@ -0,0 +1,14 @@
+// Audio keys are relative paths like `<username>/<conversationId>/<turn>.wav`
+// (see lib/audio-archive.js). Turn ids come from the Realtime API, so every
+// backend refuses keys that could reach outside the archive: absolute paths,
+// `.`/`..` segments, empty segments and anything but plain name characters.
+const SEGMENT = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+export function checkAudioKey(key) {
+  if (typeof key !== 'string' || !key.split('/').every(segment => SEGMENT.test(segment))) {
+    const err = new Error(`Invalid audio key: ${key}`);
+    err.code = 'INVALID_AUDIO_KEY';
+    throw err;
+  }
+  return key;
+}
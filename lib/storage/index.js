@@ -0,0 +1,39 @@
+// Conversation/user storage. Every backend exposes the same async interface:
+//
+//   saveConversation(record)                -> 'inserted' | 'updated' | 'skipped'
+//   loadConversation(username, id)          -> record | null
+//   listConversations({ username, includeMessages }) -> records, newest first
+//   deleteConversation(username, id)        -> boolean
+//   getUser(username) / createUser(user) / updateUser(username, fields) / listUsers()
+//   saveReflection(record) -> record;  loadReflection(username, id) -> record | null
+//   saveAudio(key, buffer, contentType) -> key;  loadAudio(key) -> Buffer | null
+//
+// saveConversation only overwrites a stored record when the new one has more
+// messages, or as many with usage from more responses (see records.js). createUser rejects duplicates with err.code === 'USER_EXISTS'.
+// saveAudio/loadAudio reject keys that could leave the archive with
+// err.code === 'INVALID_AUDIO_KEY' (see audio-keys.js).
+import { createClient } from '@supabase/supabase-js';
+import { createSupabaseStorage } from './supabase.js';
+import { createLocalStorage } from './local.js';
+import { createMemoryStorage } from './memory.js';
+
+export const STORAGE_BACKENDS = ['supabase', 'local', 'memory'];
+
+export function createStorage(config) {
+  const backend = config.STORAGE_BACKEND || 'supabase';
+
+  switch (backend) {
+    case 'supabase':
+      return createSupabaseStorage(createClient(config.SUPABASE_URL, config.SUPABASE_KEY), {
+        audioBucket: config.AUDIO_BUCKET
+      });
+    case 'local':
+      return createLocalStorage({ dir: config.CONVERSATIONS_DIR });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+  }
+}
+
+export { createSupabaseStorage, createLocalStorage, createMemoryStorage };
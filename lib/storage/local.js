@@ -0,0 +1,201 @@
+// Local filesystem backend. Conversations keep the historical fallback layout
+// (`<dir>/<username>_<condition>_<conversationId>.json`); users live in
+// `<dir>/users/<username>.json`, reflections in
+// `<dir>/reflections/<username>_<conversationId>.json` and archived audio
+// under `<dir>/audio/<key>`.
+import fs from 'fs';
+import path from 'path';
+import { checkAudioKey } from './audio-keys.js';
+import { isNewerConversation } from './records.js';
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file));
+}
+
+// Write to a temp file first so a crash mid-write never truncates a transcript
+function writeJson(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function stripMessages(record) {
+  const { messages, ...summary } = record;
+  return summary;
+}
+
+export function createLocalStorage({ dir = './conversations' } = {}) {
+  const usersDir = path.join(dir, 'users');
+  const audioDir = path.join(dir, 'audio');
+  const reflectionsDir = path.join(dir, 'reflections');
+
+  function ensureDir(target) {
+    if (!fs.existsSync(target)) {
+      fs.mkdirSync(target, { recursive: true });
+    }
+  }
+
+  function conversationFiles() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => path.join(dir, name));
+  }
+
+  function findConversationFile(username, conversationId) {
+    const prefix = `${username}_`;
+    const suffix = `_${conversationId}.json`;
+
+    for (const file of conversationFiles()) {
+      const name = path.basename(file);
+      if (!name.startsWith(prefix) || !name.endsWith(suffix)) continue;
+      try {
+        const record = readJson(file);
+        if (record.username === username && String(record.conversation_id) === String(conversationId)) {
+          return file;
+        }
+      } catch (err) {
+        console.error(`⚠️ Unreadable conversation file ${file}:`, err.message);
+      }
+    }
+    return null;
+  }
+
+  async function saveConversation(conversationData) {
+    const { username, conversation_id: conversationId } = conversationData;
+    ensureDir(dir);
+
+    const existingFile = findConversationFile(username, conversationId);
+    if (existingFile) {
+      const existing = readJson(existingFile);
+      if (!isNewerConversation(conversationData, existing)) {
+        return 'skipped';
+      }
+      writeJson(existingFile, conversationData);
+      return 'updated';
+    }
+
+    const condition = conversationData.condition || 'C';
+    writeJson(path.join(dir, `${username}_${condition}_${conversationId}.json`), conversationData);
+    return 'inserted';
+  }
+
+  async function loadConversation(username, conversationId) {
+    const file = findConversationFile(username, conversationId);
+    return file ? readJson(file) : null;
+  }
+
+  async function listConversations({ username, includeMessages = false } = {}) {
+    const records = [];
+    for (const file of conversationFiles()) {
+      try {
+        const record = readJson(file);
+        if (username && record.username !== username) continue;
+        records.push(includeMessages ? record : stripMessages(record));
+      } catch (err) {
+        console.error(`⚠️ Unreadable conversation file ${file}:`, err.message);
+      }
+    }
+    return records.sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+  }
+
+  async function deleteConversation(username, conversationId) {
+    const file = findConversationFile(username, conversationId);
+    if (!file) return false;
+    fs.unlinkSync(file);
+    return true;
+  }
+
+  function userFile(username) {
+    return path.join(usersDir, `${encodeURIComponent(username)}.json`);
+  }
+
+  async function getUser(username) {
+    const file = userFile(username);
+    return fs.existsSync(file) ? readJson(file) : null;
+  }
+
+  async function createUser(user) {
+    ensureDir(usersDir);
+    const file = userFile(user.username);
+    if (fs.existsSync(file)) {
+      const err = new Error('User already exists');
+      err.code = 'USER_EXISTS';
+      throw err;
+    }
+    const record = { created_at: new Date().toISOString(), ...user };
+    writeJson(file, record);
+    return record;
+  }
+
+  async function updateUser(username, fields) {
+    const existing = await getUser(username);
+    if (!existing) return null;
+    const record = { ...existing, ...fields };
+    writeJson(userFile(username), record);
+    return record;
+  }
+
+  async function listUsers() {
+    if (!fs.existsSync(usersDir)) return [];
+    return fs.readdirSync(usersDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => readJson(path.join(usersDir, name)))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  function reflectionFile(username, conversationId) {
+    return path.join(reflectionsDir, `${encodeURIComponent(username)}_${encodeURIComponent(conversationId)}.json`);
+  }
+
+  async function saveReflection(reflection) {
+    ensureDir(reflectionsDir);
+    const file = reflectionFile(reflection.username, reflection.conversation_id);
+    const existing = fs.existsSync(file) ? readJson(file) : null;
+    const record = { created_at: existing ? existing.created_at : new Date().toISOString(), ...reflection };
+    writeJson(file, record);
+    return record;
+  }
+
+  async function loadReflection(username, conversationId) {
+    const file = reflectionFile(username, conversationId);
+    return fs.existsSync(file) ? readJson(file) : null;
+  }
+
+  function audioFile(key) {
+    const file = path.resolve(audioDir, checkAudioKey(key));
+    // Belt and braces: the key check already rules out leaving audioDir
+    if (!file.startsWith(path.resolve(audioDir) + path.sep)) {
+      throw new Error(`Invalid audio key: ${key}`);
+    }
+    return file;
+  }
+
+  async function saveAudio(key, data) {
+    const file = audioFile(key);
+    ensureDir(path.dirname(file));
+    fs.writeFileSync(file, data);
+    return key;
+  }
+
+  async function loadAudio(key) {
+    const file = audioFile(key);
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+  }
+
+  return {
+    name: 'local',
+    saveConversation,
+    loadConversation,
+    listConversations,
+    deleteConversation,
+    getUser,
+    createUser,
+    updateUser,
+    listUsers,
+    saveReflection,
+    loadReflection,
+    saveAudio,
+    loadAudio
+  };
+}
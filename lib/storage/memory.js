@@ -0,0 +1,114 @@
+// In-memory backend for tests and throwaway pilots. Nothing survives a restart.
+import { checkAudioKey } from './audio-keys.js';
+import { isNewerConversation } from './records.js';
+
+function conversationKey(username, conversationId) {
+  return `${username}\u0000${conversationId}`;
+}
+
+export function createMemoryStorage() {
+  const conversations = new Map();
+  const users = new Map();
+  const audio = new Map();
+  const reflections = new Map();
+
+  async function saveConversation(conversationData) {
+    const key = conversationKey(conversationData.username, conversationData.conversation_id);
+    const existing = conversations.get(key);
+
+    if (!isNewerConversation(conversationData, existing)) {
+      return 'skipped';
+    }
+    conversations.set(key, structuredClone(conversationData));
+    return existing ? 'updated' : 'inserted';
+  }
+
+  async function loadConversation(username, conversationId) {
+    const record = conversations.get(conversationKey(username, conversationId));
+    return record ? structuredClone(record) : null;
+  }
+
+  async function listConversations({ username, includeMessages = false } = {}) {
+    return [...conversations.values()]
+      .filter(record => !username || record.username === username)
+      .map(record => {
+        const copy = structuredClone(record);
+        if (!includeMessages) delete copy.messages;
+        return copy;
+      })
+      .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+  }
+
+  async function deleteConversation(username, conversationId) {
+    return conversations.delete(conversationKey(username, conversationId));
+  }
+
+  async function getUser(username) {
+    const user = users.get(username);
+    return user ? structuredClone(user) : null;
+  }
+
+  async function createUser(user) {
+    if (users.has(user.username)) {
+      const err = new Error('User already exists');
+      err.code = 'USER_EXISTS';
+      throw err;
+    }
+    const record = { created_at: new Date().toISOString(), ...user };
+    users.set(user.username, record);
+    return structuredClone(record);
+  }
+
+  async function updateUser(username, fields) {
+    const existing = users.get(username);
+    if (!existing) return null;
+    const record = { ...existing, ...fields };
+    users.set(username, record);
+    return structuredClone(record);
+  }
+
+  async function listUsers() {
+    return [...users.values()]
+      .map(user => structuredClone(user))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  async function saveReflection(reflection) {
+    const key = conversationKey(reflection.username, reflection.conversation_id);
+    const existing = reflections.get(key);
+    const record = { created_at: existing ? existing.created_at : new Date().toISOString(), ...reflection };
+    reflections.set(key, structuredClone(record));
+    return structuredClone(record);
+  }
+
+  async function loadReflection(username, conversationId) {
+    const record = reflections.get(conversationKey(username, conversationId));
+    return record ? structuredClone(record) : null;
+  }
+
+  async function saveAudio(key, data) {
+    audio.set(checkAudioKey(key), Buffer.from(data));
+    return key;
+  }
+
+  async function loadAudio(key) {
+    checkAudioKey(key);
+    return audio.has(key) ? Buffer.from(audio.get(key)) : null;
+  }
+
+  return {
+    name: 'memory',
+    saveConversation,
+    loadConversation,
+    listConversations,
+    deleteConversation,
+    getUser,
+    createUser,
+    updateUser,
+    listUsers,
+    saveReflection,
+    loadReflection,
+    saveAudio,
+    loadAudio
+  };
+}
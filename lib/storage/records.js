@@ -0,0 +1,15 @@
+// Which copy of a conversation record wins. Saves only ever move a record
+// forward: more messages, or the same messages with usage from more
+// responses (a cancelled response reports its usage after its turn was
+// saved). Anything else is a stale or duplicate write.
+function responseCount(record) {
+  return (record && record.usage && record.usage.responses) || 0;
+}
+
+export function isNewerConversation(record, existing) {
+  if (!existing) return true;
+  const messages = record.total_messages || 0;
+  const existingMessages = existing.total_messages || 0;
+  if (messages !== existingMessages) return messages > existingMessages;
+  return responseCount(record) > responseCount(existing);
+}
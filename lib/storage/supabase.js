@@ -0,0 +1,211 @@
+// Supabase backend: `conversations`, `users` and `reflections` tables, plus a
+// Storage bucket for archived turn audio.
+import { checkAudioKey } from './audio-keys.js';
+import { isNewerConversation } from './records.js';
+
+const SUMMARY_COLUMNS = 'username, conversation_id, condition, locale, timestamp, total_messages, updated_at';
+
+export function createSupabaseStorage(supabase, { audioBucket = 'conversation-audio' } = {}) {
+  async function saveConversation(conversationData) {
+    const { username, conversation_id: conversationId } = conversationData;
+
+    const { data: existing, error: selectError } = await supabase
+      .from('conversations')
+      .select('id, total_messages, usage')
+      .eq('username', username)
+      .eq('conversation_id', conversationId)
+      .single();
+
+    if (selectError && selectError.code !== 'PGRST116') {
+      throw selectError;
+    }
+
+    if (existing) {
+      if (!isNewerConversation(conversationData, existing)) {
+        return 'skipped';
+      }
+
+      const { error: updateError } = await supabase
+        .from('conversations')
+        .update(conversationData)
+        .eq('username', username)
+        .eq('conversation_id', conversationId);
+
+      if (updateError) throw updateError;
+      return 'updated';
+    }
+
+    const { error: insertError } = await supabase
+      .from('conversations')
+      .insert([conversationData]);
+
+    if (insertError) {
+      // Another save for the same conversation won the race
+      if (insertError.code === '23505') return 'skipped';
+      throw insertError;
+    }
+    return 'inserted';
+  }
+
+  async function loadConversation(username, conversationId) {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select('*')
+      .eq('username', username)
+      .eq('conversation_id', conversationId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    }
+    return data;
+  }
+
+  async function listConversations({ username, includeMessages = false } = {}) {
+    let query = supabase
+      .from('conversations')
+      .select(includeMessages ? '*' : SUMMARY_COLUMNS)
+      .order('updated_at', { ascending: false });
+
+    if (username) {
+      query = query.eq('username', username);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function deleteConversation(username, conversationId) {
+    const { data, error } = await supabase
+      .from('conversations')
+      .delete()
+      .eq('username', username)
+      .eq('conversation_id', conversationId)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  async function getUser(username) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('username', username)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    }
+    return data;
+  }
+
+  async function createUser(user) {
+    const { data, error } = await supabase
+      .from('users')
+      .insert([user])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        const err = new Error('User already exists');
+        err.code = 'USER_EXISTS';
+        throw err;
+      }
+      throw error;
+    }
+    return data;
+  }
+
+  async function updateUser(username, fields) {
+    const { data, error } = await supabase
+      .from('users')
+      .update(fields)
+      .eq('username', username)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    }
+    return data;
+  }
+
+  async function listUsers() {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .order('username');
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function saveReflection(reflection) {
+    const { data, error } = await supabase
+      .from('reflections')
+      .upsert(reflection, { onConflict: 'username,conversation_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async function loadReflection(username, conversationId) {
+    const { data, error } = await supabase
+      .from('reflections')
+      .select('*')
+      .eq('username', username)
+      .eq('conversation_id', conversationId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    }
+    return data;
+  }
+
+  async function saveAudio(key, data, contentType = 'audio/wav') {
+    const { error } = await supabase.storage
+      .from(audioBucket)
+      .upload(checkAudioKey(key), data, { contentType, upsert: true });
+
+    if (error) throw error;
+    return key;
+  }
+
+  async function loadAudio(key) {
+    const { data, error } = await supabase.storage
+      .from(audioBucket)
+      .download(checkAudioKey(key));
+
+    if (error) {
+      if (error.statusCode === '404' || error.status === 404) return null;
+      throw error;
+    }
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  return {
+    name: 'supabase',
+    saveConversation,
+    loadConversation,
+    listConversations,
+    deleteConversation,
+    getUser,
+    createUser,
+    updateUser,
+    listUsers,
+    saveReflection,
+    loadReflection,
+    saveAudio,
+    loadAudio
+  };
+}
@@ -0,0 +1,161 @@
+// Study progress overview for the researcher dashboard: one row per
+// conversation (plus one per participant who has not started yet), with the
+// counts researchers used to pull out of Supabase by hand, plus the
+// responsiveness metrics from lib/metrics.js.
+import { sanitizeUsername } from './auth.js';
+import { summarizeMetrics } from './metrics.js';
+
+export const SUMMARY_COLUMNS = [
+  ['username', 'Participant'],
+  ['condition', 'Condition'],
+  ['locale', 'Locale'],
+  ['conversation_id', 'Conversation'],
+  ['started_at', 'Started'],
+  ['last_activity', 'Last activity'],
+  ['duration_seconds', 'Duration (s)'],
+  ['total_messages', 'Messages'],
+  ['user_messages', 'Participant turns'],
+  ['assistant_messages', 'Facilitator turns'],
+  ['interruptions', 'Interruptions'],
+  ['median_response_latency_ms', 'Median response latency (ms)'],
+  ['median_first_audio_ms', 'Median time to first audio (ms)'],
+  ['user_speaking_seconds', 'Participant speaking (s)'],
+  ['assistant_audio_seconds', 'Facilitator audio (s)']
+];
+
+function messageTimes(messages) {
+  return messages
+    .map(m => Date.parse(m.timestamp))
+    .filter(t => !Number.isNaN(t));
+}
+
+export function summarizeConversation(record) {
+  const messages = record.messages || [];
+  const times = messageTimes(messages);
+  const first = times.length > 0 ? Math.min(...times) : null;
+  const last = times.length > 0 ? Math.max(...times) : null;
+  const metrics = summarizeMetrics(messages);
+
+  return {
+    username: record.username,
+    condition: record.condition || null,
+    locale: record.locale || null,
+    conversation_id: record.conversation_id,
+    started_at: first !== null ? new Date(first).toISOString() : record.timestamp || null,
+    last_activity: record.updated_at || (last !== null ? new Date(last).toISOString() : null),
+    duration_seconds: first !== null ? Math.round((last - first) / 1000) : 0,
+    total_messages: messages.length,
+    user_messages: messages.filter(m => m.role === 'user').length,
+    assistant_messages: messages.filter(m => m.role === 'assistant').length,
+    interruptions: metrics.interruptions,
+    median_response_latency_ms: metrics.response_latency_ms ? metrics.response_latency_ms.median : null,
+    median_first_audio_ms: metrics.first_audio_ms ? metrics.first_audio_ms.median : null,
+    user_speaking_seconds: Math.round(metrics.user_speaking_ms / 1000),
+    assistant_audio_seconds: Math.round(metrics.assistant_audio_ms / 1000)
+  };
+}
+
+// from/to are YYYY-MM-DD (inclusive) and match on the conversation start
+export function inDateRange(startedAt, { from, to }) {
+  if (!from && !to) return true;
+  if (!startedAt) return false;
+  const day = startedAt.slice(0, 10);
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+// Conversations are stored under the sanitized username, so user records are
+// matched to them the same way. Researchers' own test sessions are not study
+// data: returns the admins' usernames and the participants.
+export function studyParticipants(allUsers) {
+  const users = allUsers.map(user => ({ ...user, username: sanitizeUsername(user.username) }));
+  const admins = new Set(users.filter(user => user.role === 'admin').map(user => user.username));
+  return { admins, users: users.filter(user => !admins.has(user.username)) };
+}
+
+export function buildStudySummary({ users: allUsers, conversations: allConversations, condition = null, from = null, to = null }) {
+  const { admins, users } = studyParticipants(allUsers);
+  const conversations = allConversations.filter(record => !admins.has(record.username));
+
+  const conditionOf = new Map(users.map(user => [user.username, user.condition || null]));
+
+  const included = conversations
+    .map(record => {
+      const row = summarizeConversation(record);
+      return { row: { ...row, condition: row.condition || conditionOf.get(row.username) || null }, messages: record.messages || [] };
+    })
+    .filter(({ row }) => !condition || row.condition === condition)
+    .filter(({ row }) => inDateRange(row.started_at, { from, to }));
+  const rows = included.map(({ row }) => row);
+
+  // Participants without conversations only make sense without a date filter
+  if (!from && !to) {
+    const started = new Set(conversations.map(record => record.username));
+    for (const user of users) {
+      if (started.has(user.username)) continue;
+      if (condition && user.condition !== condition) continue;
+      rows.push({
+        ...summarizeConversation({ username: user.username, condition: user.condition, locale: user.locale, messages: [] }),
+        last_activity: null
+      });
+    }
+  }
+
+  rows.sort((a, b) => a.username.localeCompare(b.username) ||
+    String(a.started_at || '').localeCompare(String(b.started_at || '')));
+
+  const participants = new Set(rows.map(row => row.username));
+  const byCondition = {};
+  for (const row of rows) {
+    const key = row.condition || 'unassigned';
+    byCondition[key] = byCondition[key] || { participants: new Set(), conversations: 0, messages: [] };
+    byCondition[key].participants.add(row.username);
+    if (row.conversation_id !== undefined) byCondition[key].conversations++;
+  }
+  // Latency per condition pools every turn rather than averaging conversations
+  for (const { row, messages } of included) {
+    byCondition[row.condition || 'unassigned'].messages.push(...messages);
+  }
+
+  return {
+    filters: { condition, from, to },
+    totals: {
+      participants: participants.size,
+      conversations: rows.filter(row => row.conversation_id !== undefined).length,
+      messages: rows.reduce((sum, row) => sum + row.total_messages, 0),
+      interruptions: rows.reduce((sum, row) => sum + row.interruptions, 0),
+      by_condition: Object.fromEntries(Object.entries(byCondition).map(([id, entry]) => [
+        id,
+        {
+          participants: entry.participants.size,
+          conversations: entry.conversations,
+          ...latencySummary(entry.messages)
+        }
+      ]))
+    },
+    rows
+  };
+}
+
+function latencySummary(messages) {
+  const metrics = summarizeMetrics(messages);
+  return {
+    response_latency_ms: metrics.response_latency_ms,
+    first_audio_ms: metrics.first_audio_ms
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating participant-chosen names as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function summaryToCsv(rows) {
+  const lines = [SUMMARY_COLUMNS.map(([, label]) => csvCell(label)).join(',')];
+  for (const row of rows) {
+    lines.push(SUMMARY_COLUMNS.map(([key]) => csvCell(row[key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,53 @@
+// Merges turns from the browser's durable transcript buffer
+// (client/transcript-store.js) into the server's copy of a conversation.
+// Sequence numbers are assigned by the server and sent with every finished
+// turn, so a turn the client holds under a sequence the server numbered but
+// does not have is one the server lost. Where both sides have a sequence, the
+// server's turn wins.
+//
+// The client's copy is not trusted beyond that: only sequences below the
+// server's next one are filled in, so recovery never moves the numbering,
+// and only participant turns are taken. Facilitator turns are recorded
+// before their sequence is ever sent, so the server has no use for the
+// client's wording of one and would only let a participant forge them.
+
+// A resync only ever carries one conversation; cap what a client can push
+const MAX_RESYNC_TURNS = 500;
+
+function normalizeTurn(turn) {
+  if (!turn || typeof turn !== 'object') return null;
+
+  const { sequence, role, content } = turn;
+  if (!Number.isInteger(sequence) || sequence < 0) return null;
+  if (role !== 'user') return null;
+  if (typeof content !== 'string' || content.trim() === '') return null;
+
+  return {
+    sequence,
+    role,
+    content,
+    timestamp: typeof turn.timestamp === 'string' ? turn.timestamp : null,
+    input_modality: turn.input_modality === 'text' ? 'text' : 'voice',
+    // Marks turns that only survived on the participant's device
+    recovered: true
+  };
+}
+
+// Inserts the turns `messages` is missing below `nextSequence` in sequence
+// order and returns them
+export function mergeClientTurns(messages, turns, nextSequence) {
+  if (!Array.isArray(turns)) return [];
+
+  const known = new Set(messages.map(m => m.sequence));
+  const added = [];
+  for (const turn of turns.slice(0, MAX_RESYNC_TURNS)) {
+    const normalized = normalizeTurn(turn);
+    if (!normalized || normalized.sequence >= nextSequence || known.has(normalized.sequence)) continue;
+
+    known.add(normalized.sequence);
+    const index = messages.findIndex(m => m.sequence > normalized.sequence);
+    messages.splice(index === -1 ? messages.length : index, 0, normalized);
+    added.push(normalized);
+  }
+  return added;
+}
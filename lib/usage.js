@@ -0,0 +1,178 @@
+// Realtime API token usage and what it costs. Every response.done carries a
+// `usage` block; the proxy keeps it on the assistant turn and sums it per
+// conversation (`usage` on the conversation record). Costs are not stored:
+// the report prices the stored token counts with the configured prices, so a
+// price change also applies to earlier sessions.
+import { inDateRange, studyParticipants, summarizeConversation } from './summary.js';
+
+// USD per million tokens (gpt-4o-realtime-preview list prices); override
+// any of them with REALTIME_PRICING
+export const DEFAULT_PRICING = {
+  text_input: 5,
+  text_cached_input: 2.5,
+  text_output: 20,
+  audio_input: 40,
+  audio_cached_input: 2.5,
+  audio_output: 80
+};
+
+// Input counts include the cached tokens, which are billed at the cached price
+export const USAGE_FIELDS = [
+  'text_input_tokens',
+  'text_cached_tokens',
+  'text_output_tokens',
+  'audio_input_tokens',
+  'audio_cached_tokens',
+  'audio_output_tokens'
+];
+
+export const USAGE_GROUPS = ['user', 'condition', 'day'];
+
+function invalidPricing(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_PRICING';
+  return err;
+}
+
+// Accepts the config value as an object or a JSON string (from the env)
+export function resolvePricing(value) {
+  if (value === undefined || value === null || value === '') return { ...DEFAULT_PRICING };
+
+  let overrides = value;
+  if (typeof value === 'string') {
+    try {
+      overrides = JSON.parse(value);
+    } catch {
+      throw invalidPricing('REALTIME_PRICING must be valid JSON');
+    }
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw invalidPricing('REALTIME_PRICING must be an object of USD prices per million tokens');
+  }
+
+  for (const [key, price] of Object.entries(overrides)) {
+    if (!(key in DEFAULT_PRICING)) {
+      throw invalidPricing(`Unknown REALTIME_PRICING key "${key}". Use: ${Object.keys(DEFAULT_PRICING).join(', ')}`);
+    }
+    if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+      throw invalidPricing(`REALTIME_PRICING.${key} must be a non-negative number`);
+    }
+  }
+  return { ...DEFAULT_PRICING, ...overrides };
+}
+
+function tokens(value) {
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+// Flattens the usage block of a response.done event; null when it has none
+export function usageFromResponse(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+
+  const input = usage.input_token_details || {};
+  const output = usage.output_token_details || {};
+  const cached = input.cached_tokens_details || {};
+  const textInput = tokens(input.text_tokens);
+  const audioInput = tokens(input.audio_tokens);
+
+  // Without the per-modality split, count the cached total against text first
+  const cachedTotal = tokens(input.cached_tokens);
+  const textCached = 'text_tokens' in cached ? tokens(cached.text_tokens) : Math.min(cachedTotal, textInput);
+  const audioCached = 'audio_tokens' in cached
+    ? tokens(cached.audio_tokens)
+    : Math.min(Math.max(0, cachedTotal - textCached), audioInput);
+
+  return {
+    text_input_tokens: textInput,
+    text_cached_tokens: textCached,
+    text_output_tokens: tokens(output.text_tokens),
+    audio_input_tokens: audioInput,
+    audio_cached_tokens: audioCached,
+    audio_output_tokens: tokens(output.audio_tokens)
+  };
+}
+
+// Sums two usage records, including their `responses` counts
+export function addUsage(total, usage) {
+  const sum = { responses: tokens(total && total.responses) + tokens(usage && usage.responses) };
+  for (const field of USAGE_FIELDS) {
+    sum[field] = tokens(total && total[field]) + tokens(usage && usage[field]);
+  }
+  return sum;
+}
+
+export function usageCost(usage, pricing = DEFAULT_PRICING) {
+  const count = (field) => tokens(usage && usage[field]);
+  // Prices are per million tokens, so this sums millionths of a dollar
+  const microDollars =
+    (count('text_input_tokens') - count('text_cached_tokens')) * pricing.text_input +
+    count('text_cached_tokens') * pricing.text_cached_input +
+    count('text_output_tokens') * pricing.text_output +
+    (count('audio_input_tokens') - count('audio_cached_tokens')) * pricing.audio_input +
+    count('audio_cached_tokens') * pricing.audio_cached_input +
+    count('audio_output_tokens') * pricing.audio_output;
+  return Math.round(microDollars) / 1e6;
+}
+
+function groupKey(row, groupBy) {
+  if (groupBy === 'user') return row.username;
+  if (groupBy === 'condition') return row.condition || 'unassigned';
+  return row.started_at ? row.started_at.slice(0, 10) : 'unknown';
+}
+
+// Usage and cost totals per participant, condition or day (the day each
+// conversation started), with the same filters as the study summary.
+// Conversations from before usage was recorded are only counted.
+export function buildUsageReport({ users: allUsers, conversations: allConversations, pricing = DEFAULT_PRICING, groupBy = 'user', condition = null, from = null, to = null }) {
+  const { admins, users } = studyParticipants(allUsers);
+  const conditionOf = new Map(users.map(user => [user.username, user.condition || null]));
+
+  const groups = new Map();
+  let total = addUsage(null, null);
+  let conversations = 0;
+  let untracked = 0;
+
+  for (const record of allConversations) {
+    if (admins.has(record.username)) continue;
+
+    const summary = summarizeConversation(record);
+    const row = { ...summary, condition: summary.condition || conditionOf.get(summary.username) || null };
+    if (condition && row.condition !== condition) continue;
+    if (!inDateRange(row.started_at, { from, to })) continue;
+
+    if (!record.usage) {
+      untracked++;
+      continue;
+    }
+
+    const key = groupKey(row, groupBy);
+    const group = groups.get(key) || { conversations: 0, usage: null };
+    group.conversations++;
+    group.usage = addUsage(group.usage, record.usage);
+    groups.set(key, group);
+    conversations++;
+    total = addUsage(total, record.usage);
+  }
+
+  const rows = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, group]) => ({
+      [groupBy]: key,
+      conversations: group.conversations,
+      ...group.usage,
+      cost_usd: usageCost(group.usage, pricing)
+    }));
+
+  return {
+    filters: { condition, from, to },
+    group_by: groupBy,
+    pricing,
+    totals: {
+      conversations,
+      untracked_conversations: untracked,
+      ...total,
+      cost_usd: usageCost(total, pricing)
+    },
+    rows
+  };
+}
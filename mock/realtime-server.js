@@ -0,0 +1,427 @@
+// Mock of the OpenAI Realtime API WebSocket for offline development and
+// tests. It speaks the same event protocol the proxy uses and plays back
+// scripted turns from a fixture file:
+//
+//   npm run mock                              # mock/fixtures/default.json
+//   npm run mock -- mock/fixtures/errors.json
+//
+// then start the app with REALTIME_URL=ws://localhost:3001/v1/realtime.
+//
+// Fixture format (all fields optional):
+//   {
+//     "vad": {
+//       "mode": "energy" | "timer",   // energy: RMS of the appended audio;
+//                                     // timer: fixed speech windows, so silent
+//                                     // or synthetic input still produces turns
+//       "threshold": 0.02,            // energy mode RMS threshold
+//       "speech_after_ms": 1000,      // timer mode: silence before each turn
+//       "speech_duration_ms": 2000    // timer mode: length of each turn
+//     },
+//     "transcription_delay_ms": 300,
+//     "drop_after_responses": 2,      // cut the socket halfway through the
+//                                     // Nth response of each connection, to
+//                                     // exercise the proxy's reconnection
+//     "transcripts": ["...", ...],    // user transcripts, one per detected turn
+//     "responses": [                  // one per response, cycled when exhausted
+//       { "text": "...", "audio_ms": 2000, "usage": { ... } },
+//       { "error": { "type": "server_error", "message": "..." } }
+//     ]
+//   }
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { WebSocketServer } from 'ws';
+import { decodeAlawSample, decodeUlawSample, encodeAlawSample, encodeUlawSample } from '../lib/codecs.js';
+
+const SAMPLE_RATE = 24000;
+const CHUNK_MS = 100;
+const TONE_HZ = 220;
+const TONE_AMPLITUDE = 0.1;
+
+// Rough Realtime token rates, only used when a fixture gives no usage block
+const INPUT_AUDIO_MS_PER_TOKEN = 100;
+const OUTPUT_AUDIO_MS_PER_TOKEN = 50;
+const CHARS_PER_TEXT_TOKEN = 4;
+
+const mockDir = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_FIXTURE = path.join(mockDir, 'fixtures', 'default.json');
+
+export function loadFixture(file = DEFAULT_FIXTURE) {
+  return JSON.parse(fs.readFileSync(file));
+}
+
+function rms(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const s = pcm.readInt16LE(i * 2) / 32768;
+    sum += s * s;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+// session.input_audio_format / output_audio_format: G.711 is 8 kHz with one
+// byte per sample; toPcm/fromPcm convert to and from PCM16 at that rate
+function g711(decode, encode) {
+  return {
+    sampleRate: 8000,
+    bytesPerSample: 1,
+    toPcm(bytes) {
+      const pcm = Buffer.alloc(bytes.length * 2);
+      for (let i = 0; i < bytes.length; i++) pcm.writeInt16LE(decode(bytes[i]), i * 2);
+      return pcm;
+    },
+    fromPcm(pcm) {
+      const bytes = Buffer.alloc(pcm.length >> 1);
+      for (let i = 0; i < bytes.length; i++) bytes[i] = encode(pcm.readInt16LE(i * 2));
+      return bytes;
+    }
+  };
+}
+
+const AUDIO_FORMATS = {
+  pcm16: { sampleRate: SAMPLE_RATE, bytesPerSample: 2, toPcm: (pcm) => pcm, fromPcm: (pcm) => pcm },
+  g711_ulaw: g711(decodeUlawSample, encodeUlawSample),
+  g711_alaw: g711(decodeAlawSample, encodeAlawSample)
+};
+
+function audioFormat(name) {
+  return AUDIO_FORMATS[name] || AUDIO_FORMATS.pcm16;
+}
+
+function toneChunk(startSample, samples, format = AUDIO_FORMATS.pcm16) {
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const t = (startSample + i) / format.sampleRate;
+    pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * TONE_HZ * t) * TONE_AMPLITUDE * 32767), i * 2);
+  }
+  return format.fromPcm(pcm).toString('base64');
+}
+
+function estimateUsage({ instructionChars, inputAudioMs, outputText, outputAudioMs }) {
+  const inputText = Math.ceil(instructionChars / CHARS_PER_TEXT_TOKEN);
+  const inputAudio = Math.ceil(inputAudioMs / INPUT_AUDIO_MS_PER_TOKEN);
+  const outputTextTokens = Math.ceil(outputText.length / CHARS_PER_TEXT_TOKEN);
+  const outputAudio = Math.ceil(outputAudioMs / OUTPUT_AUDIO_MS_PER_TOKEN);
+  return {
+    total_tokens: inputText + inputAudio + outputTextTokens + outputAudio,
+    input_tokens: inputText + inputAudio,
+    output_tokens: outputTextTokens + outputAudio,
+    input_token_details: { text_tokens: inputText, audio_tokens: inputAudio, cached_tokens: 0 },
+    output_token_details: { text_tokens: outputTextTokens, audio_tokens: outputAudio }
+  };
+}
+
+// pace scales all delays: 1 = real time, 0 = as fast as possible (tests)
+function handleConnection(ws, fixture, pace) {
+  const vad = { mode: 'energy', threshold: 0.02, speech_after_ms: 1000, speech_duration_ms: 2000, ...(fixture.vad || {}) };
+  const transcripts = fixture.transcripts || [];
+  const responses = fixture.responses || [];
+  const transcriptionDelayMs = fixture.transcription_delay_ms ?? 300;
+
+  let counter = 0;
+  const nextId = (prefix) => `${prefix}_mock${++counter}`;
+
+  let session = {
+    modalities: ['text', 'audio'],
+    instructions: '',
+    turn_detection: { type: 'server_vad', silence_duration_ms: 500, prefix_padding_ms: 300 }
+  };
+
+  let transcriptIndex = 0;
+  let responseIndex = 0;
+  let current = null;
+  const timers = new Set();
+
+  // Audio clock, advanced by appended input rather than wall time
+  let audioMs = 0;
+  let bufferedAudioMs = 0;
+  let inputAudioMsSinceResponse = 0;
+  let speaking = false;
+  let lastVoiceMs = 0;
+  let turnWindowStart = 0;
+  let userItemId = null;
+  let previousItemId = null;
+
+  function send(event) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ event_id: nextId('event'), ...event }));
+    }
+  }
+
+  function later(fn, ms) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms * pace);
+    timers.add(timer);
+    return timer;
+  }
+
+  function sendError(type, message, code) {
+    send({ type: 'error', error: { type, code: code || null, message } });
+  }
+
+  function startResponse() {
+    if (current) {
+      sendError('invalid_request_error', 'Conversation already has an active response', 'conversation_already_has_active_response');
+      return;
+    }
+    if (responses.length === 0) {
+      sendError('server_error', 'Mock fixture has no responses');
+      return;
+    }
+
+    const entry = responses[responseIndex % responses.length];
+    responseIndex++;
+    const drop = responseIndex === fixture.drop_after_responses;
+
+    if (entry.error) {
+      send({ type: 'error', error: { code: null, ...entry.error } });
+      return;
+    }
+
+    const withAudio = session.modalities.includes('audio');
+    const text = entry.text || '';
+    const words = text.split(' ');
+    const audioMsTotal = withAudio ? (entry.audio_ms ?? Math.max(CHUNK_MS, words.length * 300)) : 0;
+    const steps = Math.max(1, Math.ceil(audioMsTotal / CHUNK_MS) || words.length);
+    const outputFormat = audioFormat(session.output_audio_format);
+    const samplesPerChunk = outputFormat.sampleRate * CHUNK_MS / 1000;
+
+    const response = { id: nextId('resp'), object: 'realtime.response', status: 'in_progress', output: [] };
+    const itemId = nextId('item');
+    current = { response, itemId, step: 0, timer: null };
+
+    send({ type: 'response.created', response });
+    send({
+      type: 'response.output_item.added',
+      response_id: response.id,
+      output_index: 0,
+      item: { id: itemId, type: 'message', role: 'assistant', status: 'in_progress', content: [] }
+    });
+
+    let wordsSent = 0;
+    const step = () => {
+      if (!current || current.response.id !== response.id) return;
+
+      if (drop && current.step === Math.floor(steps / 2)) {
+        ws.terminate();
+        return;
+      }
+
+      const i = current.step++;
+      const wordTarget = Math.ceil(words.length * (i + 1) / steps);
+      const delta = words.slice(wordsSent, wordTarget).join(' ');
+      const deltaText = wordsSent > 0 && delta ? ` ${delta}` : delta;
+      wordsSent = wordTarget;
+
+      if (withAudio) {
+        send({ type: 'response.audio.delta', response_id: response.id, item_id: itemId, output_index: 0, content_index: 0, delta: toneChunk(i * samplesPerChunk, samplesPerChunk, outputFormat) });
+        if (deltaText) {
+          send({ type: 'response.audio_transcript.delta', response_id: response.id, item_id: itemId, output_index: 0, content_index: 0, delta: deltaText });
+        }
+      } else if (deltaText) {
+        send({ type: 'response.text.delta', response_id: response.id, item_id: itemId, output_index: 0, content_index: 0, delta: deltaText });
+      }
+
+      if (current.step < steps) {
+        current.timer = later(step, CHUNK_MS);
+        return;
+      }
+
+      if (withAudio) {
+        send({ type: 'response.audio.done', response_id: response.id, item_id: itemId, output_index: 0, content_index: 0 });
+        send({ type: 'response.audio_transcript.done', response_id: response.id, item_id: itemId, output_index: 0, content_index: 0, transcript: text });
+      } else {
+        send({ type: 'response.text.done', response_id: response.id, item_id: itemId, output_index: 0, content_index: 0, text });
+      }
+
+      const item = {
+        id: itemId,
+        type: 'message',
+        role: 'assistant',
+        status: 'completed',
+        content: [withAudio ? { type: 'audio', transcript: text } : { type: 'text', text }]
+      };
+      send({ type: 'response.output_item.done', response_id: response.id, output_index: 0, item });
+
+      const usage = entry.usage || estimateUsage({
+        instructionChars: (session.instructions || '').length,
+        inputAudioMs: inputAudioMsSinceResponse,
+        outputText: text,
+        outputAudioMs: audioMsTotal
+      });
+      inputAudioMsSinceResponse = 0;
+      previousItemId = itemId;
+      current = null;
+      send({ type: 'response.done', response: { ...response, status: 'completed', output: [item], usage } });
+    };
+
+    current.timer = later(step, CHUNK_MS);
+  }
+
+  function cancelResponse() {
+    if (!current) {
+      sendError('invalid_request_error', 'Cancellation failed: no active response found', 'response_cancel_not_active');
+      return;
+    }
+    clearTimeout(current.timer);
+    timers.delete(current.timer);
+    const { response } = current;
+    current = null;
+    send({ type: 'response.done', response: { ...response, status: 'cancelled', status_details: { type: 'cancelled', reason: 'client_cancelled' } } });
+  }
+
+  function startTurn() {
+    speaking = true;
+    userItemId = nextId('item');
+    const prefix = session.turn_detection?.prefix_padding_ms ?? 300;
+    send({ type: 'input_audio_buffer.speech_started', audio_start_ms: Math.max(0, Math.round(audioMs - prefix)), item_id: userItemId });
+  }
+
+  function endTurn({ autoRespond = true } = {}) {
+    speaking = false;
+    turnWindowStart = audioMs;
+    const itemId = userItemId;
+    send({ type: 'input_audio_buffer.speech_stopped', audio_end_ms: Math.round(audioMs), item_id: itemId });
+    commitTurn(itemId, autoRespond);
+  }
+
+  function commitTurn(itemId, autoRespond) {
+    send({ type: 'input_audio_buffer.committed', previous_item_id: previousItemId, item_id: itemId });
+    send({
+      type: 'conversation.item.created',
+      previous_item_id: previousItemId,
+      item: { id: itemId, type: 'message', role: 'user', status: 'completed', content: [{ type: 'input_audio', transcript: null }] }
+    });
+    previousItemId = itemId;
+    bufferedAudioMs = 0;
+
+    const transcript = transcripts.length > 0
+      ? transcripts[transcriptIndex++ % transcripts.length]
+      : '';
+    later(() => {
+      send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript });
+    }, transcriptionDelayMs);
+
+    if (autoRespond && session.turn_detection && session.turn_detection.create_response !== false) {
+      startResponse();
+    }
+  }
+
+  function appendAudio(base64Audio) {
+    const format = audioFormat(session.input_audio_format);
+    const pcm = format.toPcm(Buffer.from(base64Audio || '', 'base64'));
+    const durationMs = pcm.length / 2 / format.sampleRate * 1000;
+    audioMs += durationMs;
+    bufferedAudioMs += durationMs;
+    inputAudioMsSinceResponse += durationMs;
+
+    if (!session.turn_detection) return;
+
+    let voiced;
+    if (vad.mode === 'timer') {
+      const sinceWindow = audioMs - turnWindowStart;
+      voiced = sinceWindow >= vad.speech_after_ms && sinceWindow < vad.speech_after_ms + vad.speech_duration_ms;
+    } else {
+      voiced = rms(pcm) >= vad.threshold;
+    }
+
+    if (voiced) {
+      lastVoiceMs = audioMs;
+      if (!speaking) startTurn();
+      return;
+    }
+
+    const silenceMs = session.turn_detection.silence_duration_ms ?? 500;
+    if (speaking && audioMs - lastVoiceMs >= silenceMs) {
+      endTurn();
+    }
+  }
+
+  send({ type: 'session.created', session: { id: nextId('sess'), object: 'realtime.session', ...session } });
+
+  ws.on('message', (data) => {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (err) {
+      sendError('invalid_request_error', 'Invalid JSON');
+      return;
+    }
+
+    switch (event.type) {
+      case 'session.update':
+        session = { ...session, ...(event.session || {}) };
+        send({ type: 'session.updated', session });
+        break;
+      case 'conversation.item.create': {
+        const item = { id: nextId('item'), status: 'completed', ...event.item };
+        send({ type: 'conversation.item.created', previous_item_id: previousItemId, item });
+        previousItemId = item.id;
+        break;
+      }
+      case 'input_audio_buffer.append':
+        appendAudio(event.audio);
+        break;
+      case 'input_audio_buffer.commit':
+        if (speaking) {
+          endTurn({ autoRespond: false });
+        } else if (bufferedAudioMs < 100) {
+          sendError('invalid_request_error', `Error committing input audio buffer: buffer too small. Expected at least 100ms of audio, but buffer only has ${bufferedAudioMs.toFixed(2)}ms of audio.`, 'input_audio_buffer_commit_empty');
+        } else {
+          commitTurn(nextId('item'), false);
+        }
+        break;
+      case 'input_audio_buffer.clear':
+        bufferedAudioMs = 0;
+        speaking = false;
+        send({ type: 'input_audio_buffer.cleared' });
+        break;
+      case 'response.create':
+        startResponse();
+        break;
+      case 'response.cancel':
+        cancelResponse();
+        break;
+      default:
+        sendError('invalid_request_error', `Unknown event type: ${event.type}`, 'unknown_event');
+    }
+  });
+
+  ws.on('close', () => {
+    for (const timer of timers) clearTimeout(timer);
+    timers.clear();
+    current = null;
+  });
+}
+
+export function startMockRealtimeServer({ port = 3001, fixture = loadFixture(), pace = 1 } = {}) {
+  const wss = new WebSocketServer({ port });
+  wss.on('connection', (ws) => handleConnection(ws, fixture, pace));
+
+  return new Promise((resolve) => {
+    wss.on('listening', () => {
+      resolve({
+        wss,
+        port: wss.address().port,
+        close: () => new Promise(done => {
+          for (const client of wss.clients) client.terminate();
+          wss.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const fixtureFile = process.argv[2] || process.env.MOCK_FIXTURE || DEFAULT_FIXTURE;
+  const port = Number(process.env.MOCK_REALTIME_PORT) || 3001;
+
+  startMockRealtimeServer({ port, fixture: loadFixture(fixtureFile) }).then(({ port: actualPort }) => {
+    console.log(`🧪 Mock Realtime API on ws://localhost:${actualPort}/v1/realtime`);
+    console.log(`📄 Fixture: ${fixtureFile}`);
+  });
+}
@@ -0,0 +1,55 @@
+// One-off migration: replaces plaintext passwords in the users store
+// (Supabase `users` table or local user files) with salted scrypt hashes.
+// Safe to run more than once.
+//
+//   npm run migrate:passwords            # hash all plaintext rows
+//   npm run migrate:passwords -- --dry   # only report what would change
+import fs from 'fs';
+import { hashPassword, isHashedPassword } from '../lib/auth.js';
+import { createStorage } from '../lib/storage/index.js';
+
+let config = {
+  SUPABASE_URL: process.env.SUPABASE_URL,
+  SUPABASE_KEY: process.env.SUPABASE_KEY,
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'supabase',
+  CONVERSATIONS_DIR: process.env.CONVERSATIONS_DIR || './conversations'
+};
+
+if (fs.existsSync('./config.json')) {
+  config = { ...config, ...JSON.parse(fs.readFileSync('./config.json')) };
+}
+
+if (config.STORAGE_BACKEND === 'supabase' && (!config.SUPABASE_URL || !config.SUPABASE_KEY)) {
+  console.error('❌ Missing SUPABASE_URL / SUPABASE_KEY');
+  process.exit(1);
+}
+
+const dryRun = process.argv.includes('--dry');
+const storage = createStorage(config);
+
+async function run() {
+  let migrated = 0;
+  let alreadyHashed = 0;
+
+  for (const user of await storage.listUsers()) {
+    if (isHashedPassword(user.password)) {
+      alreadyHashed++;
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`🔎 Would hash password for: ${user.username}`);
+    } else {
+      await storage.updateUser(user.username, { password: await hashPassword(user.password || '') });
+      console.log(`🔐 Hashed password for: ${user.username}`);
+    }
+    migrated++;
+  }
+
+  console.log(`✅ Done (${storage.name}). ${dryRun ? 'Plaintext rows found' : 'Migrated'}: ${migrated}, already hashed: ${alreadyHashed}`);
+}
+
+run().catch((err) => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
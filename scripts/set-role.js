@@ -0,0 +1,46 @@
+// Grants or revokes researcher dashboard access for an existing account.
+//
+//   npm run set-role -- <username> admin
+//   npm run set-role -- <username> participant
+import fs from 'fs';
+import { createStorage } from '../lib/storage/index.js';
+
+const ROLES = ['participant', 'admin'];
+
+let config = {
+  SUPABASE_URL: process.env.SUPABASE_URL,
+  SUPABASE_KEY: process.env.SUPABASE_KEY,
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'supabase',
+  CONVERSATIONS_DIR: process.env.CONVERSATIONS_DIR || './conversations'
+};
+
+if (fs.existsSync('./config.json')) {
+  config = { ...config, ...JSON.parse(fs.readFileSync('./config.json')) };
+}
+
+if (config.STORAGE_BACKEND === 'supabase' && (!config.SUPABASE_URL || !config.SUPABASE_KEY)) {
+  console.error('❌ Missing SUPABASE_URL / SUPABASE_KEY');
+  process.exit(1);
+}
+
+const [username, role] = process.argv.slice(2);
+if (!username || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <username> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const storage = createStorage(config);
+
+async function run() {
+  const user = await storage.updateUser(username, { role });
+  if (!user) {
+    console.error(`❌ No such user: ${username}`);
+    process.exit(1);
+  }
+  console.log(`✅ ${username} is now ${role} (${storage.name})`);
+}
+
+run().catch((err) => {
+  console.error('❌ Could not update role:', err.message);
+  process.exit(1);
+});
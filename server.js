@@ -2,14 +2,47 @@ import express from 'express';
 import http from 'http';
 import { WebSocketServer } from 'ws';
 import fs from 'fs';
-import { createClient } from '@supabase/supabase-js';
+import {
+  createSessionStore,
+  getBearerToken,
+  hashPassword,
+  isValidUsername,
+  sanitizeUsername,
+  verifyPassword
+} from './lib/auth.js';
+import { createLocalStorage, createStorage } from './lib/storage/index.js';
+import { EXPORT_FORMATS, renderTranscript } from './lib/export.js';
+import { buildStudySummary, summaryToCsv } from './lib/summary.js';
+import { buildReflectionDraft, normalizeReflectionSections, REFLECTION_STATUS } from './lib/reflection.js';
+import { createConditionAssigner, loadConditions } from './lib/conditions.js';
+import { isSupportedLocale, resolveLocale, SUPPORTED_LOCALES } from './lib/locales.js';
+import { normalizeSettings, resolveSettings, SETTING_RANGES, VOICES } from './lib/settings.js';
+import { createConversationService } from './lib/conversations.js';
+import { createConnectionHandler } from './lib/session.js';
+import { UPSTREAM_AUDIO_FORMATS } from './lib/codecs.js';
+import { buildUsageReport, resolvePricing, USAGE_GROUPS } from './lib/usage.js';
 
 // Load config
 let config = {
   PORT: process.env.PORT || 3000,
   OPENAI_KEY: process.env.OPENAI_KEY,
   SUPABASE_URL: process.env.SUPABASE_URL,
-  SUPABASE_KEY: process.env.SUPABASE_KEY
+  SUPABASE_KEY: process.env.SUPABASE_KEY,
+  // 'supabase' (default), 'local' (JSON files) or 'memory'
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'supabase',
+  CONVERSATIONS_DIR: process.env.CONVERSATIONS_DIR || './conversations',
+  // 'balanced' (fewest participants first) or 'random'
+  CONDITION_ASSIGNMENT: process.env.CONDITION_ASSIGNMENT || 'balanced',
+  // Supabase Storage bucket for archived turn audio
+  AUDIO_BUCKET: process.env.AUDIO_BUCKET || 'conversation-audio',
+  // Point at the bundled mock (npm run mock) to work without an API key
+  REALTIME_URL: process.env.REALTIME_URL || 'wss://api.openai.com/v1/realtime',
+  REALTIME_MODEL: process.env.REALTIME_MODEL || 'gpt-4o-realtime-preview',
+  // Audio format on the Realtime API link: 'pcm16', 'g711_ulaw' or 'g711_alaw'
+  REALTIME_AUDIO_FORMAT: process.env.REALTIME_AUDIO_FORMAT || 'pcm16',
+  // USD per million tokens for the usage report, e.g. {"audio_output": 64};
+  // unset prices keep the defaults in lib/usage.js
+  REALTIME_PRICING: process.env.REALTIME_PRICING
 };
 
 if (fs.existsSync('./config.json')) {
@@ -20,11 +53,29 @@ if (fs.existsSync('./config.json')) {
   console.log('☁️  Using environment variables (production mode)');
 }
 
-if (!config.OPENAI_KEY || !config.SUPABASE_URL || !config.SUPABASE_KEY) {
+const needsSupabase = config.STORAGE_BACKEND === 'supabase';
+const needsOpenAIKey = new URL(config.REALTIME_URL).hostname === 'api.openai.com';
+if ((needsOpenAIKey && !config.OPENAI_KEY) || (needsSupabase && (!config.SUPABASE_URL || !config.SUPABASE_KEY))) {
   console.error('❌ Missing required configuration!');
   process.exit(1);
 }
 
+if (!UPSTREAM_AUDIO_FORMATS.includes(config.REALTIME_AUDIO_FORMAT)) {
+  console.error(`❌ REALTIME_AUDIO_FORMAT must be one of: ${UPSTREAM_AUDIO_FORMATS.join(', ')}`);
+  process.exit(1);
+}
+
+let pricing;
+try {
+  pricing = resolvePricing(config.REALTIME_PRICING);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const { conditions: studyConditions, active: activeConditions } = loadConditions(config);
+console.log(`🧪 Study conditions: ${[...studyConditions.keys()].join(', ')} (active: ${activeConditions.join(', ')}, ${config.CONDITION_ASSIGNMENT})`);
+
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
@@ -48,25 +99,55 @@ console.log(`📂 Serving static files from: ${clientPath}`);
 
 app.use(express.json());
 
+// Auth
+const authSessions = createSessionStore({
+  ttlMs: (Number(config.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000
+});
+
+setInterval(() => authSessions.prune(), 10 * 60 * 1000).unref();
+
+function requireAuth(req, res, next) {
+  const session = authSessions.get(getBearerToken(req));
+  if (!session) {
+    return res.status(401).json({ error: 'Not logged in or session expired' });
+  }
+  req.session = session;
+  req.username = sanitizeUsername(session.username);
+  next();
+}
+
 // Auth Routes
 app.post('/api/signup', async (req, res) => {
   const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+
+  if (!isValidUsername(username)) {
+    return res.status(400).json({ error: 'Usernames may only contain letters, digits, _ and -' });
+  }
   
   try {
-    const { data, error } = await supabase
-      .from('users')
-      .insert([{ username, password }])
-      .select();
-
-    if (error) {
-      if (error.code === '23505') {
-        return res.status(400).json({ error: 'Username already exists' });
-      }
-      throw error;
+    // Older accounts may predate the username rule; their records are keyed
+    // by the sanitized name, which a new account must not take over
+    const users = await storage.listUsers();
+    if (users.some(user => sanitizeUsername(user.username) === username)) {
+      return res.status(400).json({ error: 'Username already exists' });
     }
 
-    res.json({ success: true, message: 'User created' });
+    const passwordHash = await hashPassword(password);
+    const condition = await chooseCondition();
+    const locale = resolveLocale(req.body.locale);
+    await storage.createUser({ username, password: passwordHash, condition, locale });
+    console.log(`🧪 Assigned ${username} to condition ${condition} (locale ${locale})`);
+
+    const { token, expiresAt } = authSessions.create(username);
+    res.json({ success: true, message: 'User created', username, token, expiresAt, role: 'participant', locale });
   } catch (err) {
+    if (err.code === 'USER_EXISTS') {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
     console.error('Signup Error:', err.message);
     res.status(500).json({ error: 'Failed to create user' });
   }
@@ -75,569 +156,372 @@ app.post('/api/signup', async (req, res) => {
 app.post('/api/login', async (req, res) => {
   const { username, password } = req.body;
 
+  if (!username || !password) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
   try {
-    const { data, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('username', username)
-      .eq('password', password)
-      .single();
-
-    if (error || !data) {
+    const data = await storage.getUser(username);
+    if (!data) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const { valid, needsRehash } = await verifyPassword(password, data.password);
+    if (!valid) {
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
-    res.json({ success: true, username: data.username });
+    // Upgrade legacy plaintext rows on first successful login
+    if (needsRehash) {
+      try {
+        await storage.updateUser(data.username, { password: await hashPassword(password) });
+        console.log(`🔐 Upgraded plaintext password for: ${data.username}`);
+      } catch (updateError) {
+        console.error('⚠️ Could not upgrade password hash:', updateError.message);
+      }
+    }
+
+    const { token, expiresAt } = authSessions.create(data.username);
+    res.json({
+      success: true,
+      username: data.username,
+      token,
+      expiresAt,
+      role: data.role || 'participant',
+      locale: resolveLocale(data.locale)
+    });
   } catch (err) {
     console.error('Login Error:', err.message);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// Supabase
-const supabaseUrl = config.SUPABASE_URL;
-const supabaseKey = config.SUPABASE_KEY;
-let supabase;
+app.post('/api/logout', (req, res) => {
+  const token = getBearerToken(req);
+  if (token) {
+    authSessions.revoke(token);
+  }
+  res.json({ success: true });
+});
 
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 2000;
+app.get('/api/session', requireAuth, async (req, res) => {
+  let user = null;
+  try {
+    user = await storage.getUser(req.session.username);
+  } catch (err) {
+    console.error('Session Lookup Error:', err.message);
+  }
+  res.json({
+    username: req.username,
+    expiresAt: req.session.expiresAt,
+    role: (user && user.role) || 'participant',
+    locale: resolveLocale(user && user.locale)
+  });
+});
 
-const activeSessions = new Map();
+// Takes effect from the next session start (prompt, transcription language)
+app.put('/api/locale', requireAuth, async (req, res) => {
+  const locale = req.body && req.body.locale;
+  if (!isSupportedLocale(locale)) {
+    return res.status(400).json({ error: `Unsupported locale. Use one of: ${SUPPORTED_LOCALES.join(', ')}` });
+  }
 
-async function retryOperation(operation, retries = MAX_RETRIES) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      return await operation();
-    } catch (error) {
-      console.log(`⚠️ Attempt ${i + 1}/${retries} failed:`, error.message);
-      if (i === retries - 1) throw error;
-      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-    }
+  try {
+    await storage.updateUser(req.session.username, { locale });
+    res.json({ locale });
+  } catch (err) {
+    console.error('Locale Update Error:', err.message);
+    res.status(500).json({ error: 'Failed to update locale' });
   }
+});
+
+// Voice settings; like the locale they apply from the next session start
+async function userSettings(username) {
+  const [user, condition] = await Promise.all([
+    storage.getUser(username),
+    resolveUserCondition(username)
+  ]);
+  return {
+    ...resolveSettings(condition, user && user.settings),
+    options: { voices: VOICES, ranges: SETTING_RANGES }
+  };
 }
 
+app.get('/api/settings', requireAuth, async (req, res) => {
+  try {
+    res.json(await userSettings(req.session.username));
+  } catch (err) {
+    console.error('Settings Load Error:', err.message);
+    res.status(500).json({ error: 'Failed to load settings' });
+  }
+});
+
+app.put('/api/settings', requireAuth, async (req, res) => {
+  try {
+    const changes = normalizeSettings(req.body && req.body.settings);
+    const current = await userSettings(req.session.username);
+    if (current.locked) {
+      return res.status(403).json({ error: 'Settings are fixed for your study group' });
+    }
+
+    const user = await storage.getUser(req.session.username);
+    await storage.updateUser(req.session.username, { settings: { ...(user && user.settings), ...changes } });
+    res.json(await userSettings(req.session.username));
+  } catch (err) {
+    if (err.code === 'INVALID_SETTINGS') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Settings Update Error:', err.message);
+    res.status(500).json({ error: 'Failed to save settings' });
+  }
+});
+
+// Storage
+let storage;
 try {
-  supabase = createClient(supabaseUrl, supabaseKey);
-  console.log('✅ Connected to Supabase');
+  storage = createStorage(config);
+  console.log(`✅ Storage backend: ${storage.name}`);
 } catch (error) {
-  console.error('❌ Supabase connection error:', error);
+  console.error('❌ Storage setup error:', error.message);
   console.log('⚠️ Will fall back to local file storage');
+  storage = createLocalStorage({ dir: config.CONVERSATIONS_DIR });
 }
 
-async function saveConversation(username, conversationId, messages, sessionId = null, forceImmediate = false) {
-  if (!messages || messages.length === 0) {
-    console.log('⏭️ No messages to save');
-    return;
-  }
+// Remote backends fall back to local files when a save keeps failing
+const fallbackStorage = storage.name === 'supabase'
+  ? createLocalStorage({ dir: config.CONVERSATIONS_DIR })
+  : null;
+
+const conversations = createConversationService({ storage, fallbackStorage });
+const { loadUserConversation, listUserConversations } = conversations;
 
-  if (!forceImmediate && sessionId && activeSessions.has(sessionId)) {
-    const session = activeSessions.get(sessionId);
-    const now = Date.now();
-    
-    if (session.messageCount === messages.length) {
-      console.log(`⏭️ Skipped save (no new messages): ${username}_C`);
-      return;
+// Study conditions
+const { chooseCondition, resolveUserCondition } = createConditionAssigner({
+  storage,
+  conditions: studyConditions,
+  active: activeConditions,
+  strategy: config.CONDITION_ASSIGNMENT
+});
+
+// Roles are read from the user record on every request, so revoking admin
+// (npm run set-role) takes effect without waiting for the token to expire
+async function requireAdmin(req, res, next) {
+  try {
+    const user = await storage.getUser(req.session.username);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
     }
-    
-    if (session.lastSaveTime && (now - session.lastSaveTime) < 1000) {
-      console.log(`⏭️ Skipped save (debounce): ${username}_C`);
-      return;
+    next();
+  } catch (err) {
+    console.error('Admin Check Error:', err.message);
+    res.status(500).json({ error: 'Could not verify admin access' });
+  }
+}
+
+// Conversation History Routes
+app.get('/api/conversations', requireAuth, async (req, res) => {
+  try {
+    const conversations = await listUserConversations(req.username);
+    res.json({ conversations });
+  } catch (err) {
+    console.error('List Conversations Error:', err.message);
+    res.status(500).json({ error: 'Failed to load conversations' });
+  }
+});
+
+app.get('/api/conversations/:id', requireAuth, async (req, res) => {
+  try {
+    const record = await loadUserConversation(req.username, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
-    
-    session.messageCount = messages.length;
-    session.lastSaveTime = now;
-  } else if (sessionId) {
-    activeSessions.set(sessionId, {
-      username,
-      conversationId,
-      messageCount: messages.length,
-      lastSaveTime: Date.now()
+    res.json({
+      conversation_id: record.conversation_id,
+      condition: record.condition,
+      timestamp: record.timestamp,
+      updated_at: record.updated_at,
+      total_messages: record.total_messages,
+      messages: record.messages || []
     });
+  } catch (err) {
+    console.error('Load Conversation Error:', err.message);
+    res.status(500).json({ error: 'Failed to load conversation' });
   }
-  
-  const conversationData = {
-    username: username,
-    conversation_id: conversationId,
-    condition: 'C',
-    timestamp: new Date().toISOString(),
-    messages: messages,
-    total_messages: messages.length,
-    updated_at: new Date().toISOString()
-  };
-  
+});
+
+app.get('/api/conversations/:id/export', requireAuth, async (req, res) => {
+  const format = String(req.query.format || 'md').toLowerCase();
+  const formatInfo = EXPORT_FORMATS[format];
+  if (!formatInfo) {
+    return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
   try {
-    if (supabase) {
-      await retryOperation(async () => {
-        const { data: existing, error: selectError } = await supabase
-          .from('conversations')
-          .select('id, total_messages')
-          .eq('username', username)
-          .eq('conversation_id', conversationId)
-          .single();
-
-        if (selectError && selectError.code !== 'PGRST116') {
-          throw selectError;
-        }
-
-        if (existing) {
-          if (messages.length > (existing.total_messages || 0)) {
-            const { error: updateError } = await supabase
-              .from('conversations')
-              .update(conversationData)
-              .eq('username', username)
-              .eq('conversation_id', conversationId);
-            
-            if (updateError) throw updateError;
-            console.log(`💾 Conversation updated in Supabase: ${username}_C (${messages.length} messages)`);
-          } else {
-            console.log(`⏭️ Skipped update (no new messages): ${username}_C`);
-          }
-        } else {
-          const { error: insertError } = await supabase
-            .from('conversations')
-            .insert([conversationData]);
-          
-          if (insertError) {
-            if (insertError.code === '23505') {
-              console.log(`⚠️ Conversation already exists (race condition avoided): ${username}_C`);
-            } else {
-              throw insertError;
-            }
-          } else {
-            console.log(`💾 Conversation saved to Supabase: ${username}_C (${messages.length} messages)`);
-          }
-        }
-      });
-    } else {
-      saveFallbackLocal(username, conversationId, conversationData);
+    const record = await loadUserConversation(req.username, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
-  } catch (error) {
-    console.error('❌ Error saving conversation:', error);
-    saveFallbackLocal(username, conversationId, conversationData);
+
+    const filename = `reflection_${record.username}_${record.conversation_id}.${formatInfo.extension}`;
+    res.setHeader('Content-Type', formatInfo.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(renderTranscript(record, format));
+  } catch (err) {
+    console.error('Export Error:', err.message);
+    res.status(500).json({ error: 'Failed to export conversation' });
   }
+});
+
+// Reflection Routes
+function reflectionResponse(record) {
+  return {
+    conversation_id: record.conversation_id,
+    status: record.status,
+    sections: record.sections,
+    updated_at: record.updated_at || null
+  };
 }
 
-function saveFallbackLocal(username, conversationId, conversationData) {
+app.get('/api/conversations/:id/reflection', requireAuth, async (req, res) => {
   try {
-    const conversationsDir = './conversations';
-    if (!fs.existsSync(conversationsDir)) {
-      fs.mkdirSync(conversationsDir);
+    const saved = await storage.loadReflection(req.username, req.params.id);
+    if (saved) {
+      return res.json(reflectionResponse(saved));
     }
-    const filename = `${conversationsDir}/${username}_C_${conversationId}.json`;
-    
-    if (fs.existsSync(filename)) {
-      const existing = JSON.parse(fs.readFileSync(filename));
-      if (existing.total_messages >= conversationData.total_messages) {
-        console.log(`⏭️ Skipped local save (no new messages): ${filename}`);
-        return;
-      }
+
+    // No draft stored yet (e.g. the session never sent stop): compile one now
+    const record = await loadUserConversation(req.username, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
-    
-    fs.writeFileSync(filename, JSON.stringify(conversationData, null, 2));
-    console.log(`💾 Conversation saved locally (fallback): ${filename}`);
-  } catch (localError) {
-    console.error('❌ Local save also failed:', localError);
+    res.json(reflectionResponse({
+      conversation_id: record.conversation_id,
+      status: REFLECTION_STATUS.DRAFT,
+      sections: buildReflectionDraft(record.messages)
+    }));
+  } catch (err) {
+    console.error('Load Reflection Error:', err.message);
+    res.status(500).json({ error: 'Failed to load reflection' });
   }
-}
+});
 
-wss.on('connection', async (clientWs) => {
-  console.log('Client connected');
-  
-  let username = null;
-  let conversationId = null;
-  let sessionId = null;
-  const conversationMessages = [];
-  let messageSequence = 0;
-  
-  let openaiWs = null;
-  let activeResponse = false;
-  let currentResponseId = null;
-  let currentAssistantMessage = { role: 'assistant', content: '', timestamp: null, interrupted: false };
-  let isReconnection = false;
-
-  // FIX: capture user speech start time so user timestamp is always
-  // earlier than the assistant timestamp set at response.created
-  let pendingUserTimestamp = null;
-  
-  let lastSavedMessageCount = 0;
-  const autoSaveInterval = setInterval(() => {
-    if (conversationMessages.length > lastSavedMessageCount && username && conversationId) {
-      console.log('⏰ Auto-save triggered (10s interval)');
-      saveConversation(username, conversationId, conversationMessages, sessionId, false);
-      lastSavedMessageCount = conversationMessages.length;
-    }
-  }, 10000);
-
-  clientWs.on('message', async (message) => {
-    const msg = JSON.parse(message);
-
-    if (msg.type === 'start') {
-      username = msg.username || 'anonymous';
-      sessionId = msg.sessionId || Date.now();
-      conversationId = msg.conversationId || sessionId;
-      isReconnection = msg.isReconnection || false;
-      const hasMessages = msg.hasMessages || false;
-      const isPauseResume = msg.isPauseResume || false;
-      
-      // NEW: Get previous messages to restore context
-      const previousMessages = msg.previousMessages || [];
-      
-      console.log(`👤 User: ${username} | Session: ${sessionId} | Conversation: ${conversationId} | Reconnection: ${isReconnection} | Messages: ${previousMessages.length} | Pause Resume: ${isPauseResume}`);
-      
-      // If we received previous messages (resuming a session), populate local array
-      if (previousMessages.length > 0 && conversationMessages.length === 0) {
-        previousMessages.forEach(m => conversationMessages.push(m));
-        messageSequence = conversationMessages.length;
-        console.log(`📥 Loaded ${conversationMessages.length} messages into local memory`);
-      }
+app.put('/api/conversations/:id/reflection', requireAuth, async (req, res) => {
+  const sections = normalizeReflectionSections(req.body && req.body.sections);
+  if (!sections) {
+    return res.status(400).json({ error: 'sections must be an array of { phase, text }' });
+  }
 
-      if (activeSessions.has(sessionId)) {
-        const existingConversationId = activeSessions.get(sessionId).conversationId;
-        console.log(`🔄 Reconnecting to existing conversation: ${existingConversationId}`);
-      } else {
-        console.log(`🆕 Using conversation: ${conversationId}`);
-      }
-      
-      const model = 'gpt-4o-realtime-preview';
-      const url = `wss://api.openai.com/v1/realtime?model=${model}`;
-      const { default: WebSocket } = await import('ws');
-
-      openaiWs = new WebSocket(url, {
-        headers: {
-          'Authorization': `Bearer ${config.OPENAI_KEY}`,
-          'OpenAI-Beta': 'realtime=v1'
-        }
-      });
-
-      openaiWs.on('open', () => {
-        console.log('✅ Connected to OpenAI Realtime API');
-        
-        // 1. Send Session Update
-        openaiWs.send(JSON.stringify({
-          type: 'session.update',
-          session: {
-            modalities: ['text', 'audio'],
-            instructions: `Act as a facilitator to help the user write a self-reflection. The user recently wrote a term paper. Your task is to facilitate the user writing the self-reflection via multi-turn dialogue
-You will ask open-ended questions that should align with the six stages of Gibbs' Reflective Cycle in this order: Description, Feelings, Evaluation, Analysis, Conclusion, and Action Plan. You are to remain implicit regarding the phases of Gibbs' Reflective Cycle throughout the session.
- 
-At the start of each phase, ask one of the following questions in this order and with exactly the same wording as they are written below:
-1. Can you describe the process of writing your term paper, from planning to completion?
-2. How did you feel while working on the term paper, especially during challenging moments?
-3. What aspects of your term paper do you think went well, and what didn't work as effectively?
-4. Why do you think certain parts of the process were successful or unsuccessful? Were there any factors or strategies that contributed to the outcome?
-5. What have you learned from writing this term paper, both about the subject and your own writing process?
-6. What will you do differently in your next term paper to improve your approach and results?
- 
- 
-Ask follow-up questions if the response is brief or lacks detail. Please ask at least one follow-up question per phase and not more than three follow-up questions per phase. Ask specific questions rather than generic questions. Request specific examples from the user. If the student mentions a shift in views, prompt him for examples from his experience that illustrate this change. Do not give any examples and don't do the reflection for the user.
-Do Not Respond with more than 1-3 sentences or questions. Always respond in English Language.
- 
-Provide feedback on each answer provided by the user. The feedback should focus on the level of reflection rather than the content of the experience. Encourage, supervise, and incorporate social and personal values.`,
-            voice: 'alloy',
-            input_audio_format: 'pcm16',
-            output_audio_format: 'pcm16',
-            input_audio_transcription: { model: 'whisper-1' },
-            turn_detection: { 
-              type: 'server_vad', 
-              threshold: 0.8,
-              prefix_padding_ms: 500,
-              silence_duration_ms: 3000
-            },
-            temperature: 1.0,
-            max_response_output_tokens: 800
-          }
-        }));
-
-        // 2. Restore Conversation History for OpenAI Context
-        if (previousMessages.length > 0) {
-            console.log(`🔄 Restoring context for OpenAI (${previousMessages.length} items)...`);
-            previousMessages.forEach(msg => {
-                if (msg.role === 'user' || msg.role === 'assistant') {
-                    const item = {
-                        type: 'conversation.item.create',
-                        item: {
-                            type: 'message',
-                            role: msg.role,
-                            content: [
-                                {
-                                    type: msg.role === 'user' ? 'input_text' : 'text',
-                                    text: msg.content
-                                }
-                            ]
-                        }
-                    };
-                    // OpenAI expects just the content, no timestamp in the item
-                    openaiWs.send(JSON.stringify(item));
-                }
-            });
-            console.log('✅ Context restored.');
-        }
-
-        // 3. Greeting (Only if NEW session and NO history)
-        if (!isReconnection && !hasMessages && previousMessages.length === 0) {
-          setTimeout(() => {
-            console.log('🎤 Sending initial greeting (first time)');
-            openaiWs.send(JSON.stringify({
-              type: 'conversation.item.create',
-              item: {
-                type: 'message',
-                role: 'user',
-                content: [{
-                  type: 'input_text',
-                  text: 'Say "Hello there, I am Lexi. I am here to assist you in writing the self-reflection on the term paper you wrote. Can you describe your experience there?"'
-                }]
-              }
-            }));
-            
-            openaiWs.send(JSON.stringify({
-              type: 'response.create',
-              response: { modalities: ['text', 'audio'] }
-            }));
-          }, 500);
-        } else {
-          console.log('🔄 Resuming silently (pause resume or reconnection) - Waiting for user input');
-        }
-      });
-
-      openaiWs.on('message', (data) => {
-        const event = JSON.parse(data.toString());
-        
-        if (event.type && !event.type.includes('audio.delta') && !event.type.includes('input_audio_buffer.append')) {
-          // Reduce log noise
-          if (event.type !== 'response.audio_transcript.delta' && event.type !== 'response.text.delta') {
-             console.log('Event:', event.type);
-          }
-        }
-
-        if (event.type === 'input_audio_buffer.speech_started') {
-          console.log('🎤 User started speaking');
-          // FIX: capture timestamp at the moment user starts speaking,
-          // so it is guaranteed to be earlier than response.created
-          pendingUserTimestamp = new Date().toISOString();
-          clientWs.send(JSON.stringify({ type: 'speech_started' }));
-          
-          if (activeResponse && currentResponseId) {
-            console.log('⚠️ Interrupting current response:', currentResponseId);
-            
-            currentAssistantMessage.interrupted = true;
-            currentAssistantMessage.content += '...';
-            
-            conversationMessages.push({
-              sequence: messageSequence++,
-              role: currentAssistantMessage.role,
-              content: currentAssistantMessage.content,
-              timestamp: currentAssistantMessage.timestamp,
-              interrupted: true
-            });
-            
-            if (username) {
-              saveConversation(username, conversationId, conversationMessages, sessionId, true);
-            }
-            
-            openaiWs.send(JSON.stringify({ type: 'response.cancel' }));
-            clientWs.send(JSON.stringify({ type: 'response_interrupted' }));
-            activeResponse = false;
-            currentResponseId = null;
-            currentAssistantMessage = { role: 'assistant', content: '', timestamp: null, interrupted: false };
-          }
-        }
-
-        if (event.type === 'input_audio_buffer.speech_stopped') {
-          console.log('⏹️ User stopped speaking');
-          clientWs.send(JSON.stringify({ type: 'speech_stopped' }));
-        }
-
-        if (event.type === 'conversation.item.input_audio_transcription.completed') {
-          console.log('📝 Transcription:', event.transcript);
-          
-          // FIX: use pendingUserTimestamp (set at speech_started) instead of
-          // new Date() here, which would be later than response.created
-          conversationMessages.push({
-            sequence: messageSequence++,
-            role: 'user',
-            content: event.transcript,
-            timestamp: pendingUserTimestamp || new Date().toISOString()
-          });
-          pendingUserTimestamp = null; // reset for next turn
-          
-          if (username) {
-            saveConversation(username, conversationId, conversationMessages, sessionId, true);
-          }
-          
-          clientWs.send(JSON.stringify({ type: 'user_transcription', text: event.transcript }));
-        }
-
-        if (event.type === 'response.created') {
-          console.log('🤖 Response created:', event.response.id);
-          activeResponse = true;
-          currentResponseId = event.response.id;
-          
-          // Send thinking indicator to client
-          clientWs.send(JSON.stringify({ type: 'response_creating' }));
-          
-          // Timestamp set here (response.created) is always after speech_started,
-          // so assistant timestamp will always be >= user timestamp
-          currentAssistantMessage = {
-            role: 'assistant',
-            content: '',
-            timestamp: new Date().toISOString(),
-            interrupted: false
-          };
-        }
-
-        if (event.type === 'response.text.delta') {
-          currentAssistantMessage.content += event.delta;
-          clientWs.send(JSON.stringify({ type: 'assistant_transcript_delta', text: event.delta }));
-        }
-        
-        if (event.type === 'response.audio_transcript.delta') {
-          currentAssistantMessage.content += event.delta;
-          clientWs.send(JSON.stringify({ type: 'assistant_transcript_delta', text: event.delta }));
-        }
-
-        if (event.type === 'response.audio_transcript.done') {
-          console.log('✅ Audio transcript complete:', event.transcript);
-          
-          if (event.transcript.length > currentAssistantMessage.content.length) {
-            currentAssistantMessage.content = event.transcript;
-          }
-          
-          clientWs.send(JSON.stringify({ type: 'assistant_transcript_complete', text: event.transcript }));
-        }
-
-        if (event.type === 'response.audio.delta') {
-          clientWs.send(JSON.stringify({ type: 'assistant_audio_delta', audio: event.delta }));
-        }
-
-        if (event.type === 'response.done') {
-          console.log('✅ Response completed');
-          activeResponse = false;
-          currentResponseId = null;
-          
-          if (currentAssistantMessage.content.trim() !== '') {
-            conversationMessages.push({
-              sequence: messageSequence++,
-              role: currentAssistantMessage.role,
-              content: currentAssistantMessage.content,
-              timestamp: currentAssistantMessage.timestamp,
-              interrupted: false
-            });
-            
-            if (username) {
-              saveConversation(username, conversationId, conversationMessages, sessionId, true);
-            }
-          }
-          
-          currentAssistantMessage = { role: 'assistant', content: '', timestamp: null, interrupted: false };
-          clientWs.send(JSON.stringify({ type: 'response_complete' }));
-        }
-
-        if (event.type === 'response.cancelled') {
-          console.log('❌ Response cancelled');
-          activeResponse = false;
-          currentResponseId = null;
-        }
-
-        if (event.type === 'error') {
-          console.error('❌ OpenAI API Error:', event.error);
-          
-          if (event.error.type === 'invalid_request_error') {
-            activeResponse = false;
-            currentResponseId = null;
-          }
-          
-          if (!event.error.message.includes('buffer too small') && 
-              !event.error.message.includes('active response')) {
-            clientWs.send(JSON.stringify({ type: 'error', message: event.error.message }));
-          }
-        }
-      });
-
-      openaiWs.on('error', (err) => {
-        console.error('❌ OpenAI WebSocket Error:', err.message);
-        clientWs.send(JSON.stringify({ type: 'error', message: 'Connection error with OpenAI.' }));
-      });
-
-      openaiWs.on('close', () => {
-        console.log('OpenAI connection closed');
-        
-        if (conversationMessages.length > 0 && username) {
-          saveConversation(username, conversationId, conversationMessages, sessionId, true);
-          console.log(`📊 Final conversation stats for ${username}: ${conversationMessages.length} messages`);
-        }
-      });
+  try {
+    const record = await loadUserConversation(req.username, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    if (msg.type === 'audio' && openaiWs && openaiWs.readyState === 1) {
-      openaiWs.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: msg.audio }));
-    }
+    const saved = await storage.saveReflection({
+      username: req.username,
+      conversation_id: record.conversation_id,
+      status: REFLECTION_STATUS.EDITED,
+      sections,
+      updated_at: new Date().toISOString()
+    });
+    console.log(`📝 Reflection saved by ${req.username}: ${record.conversation_id}`);
+    res.json(reflectionResponse(saved));
+  } catch (err) {
+    console.error('Save Reflection Error:', err.message);
+    res.status(500).json({ error: 'Failed to save reflection' });
+  }
+});
 
-    if (msg.type === 'stop') {
-      const requestNewSession = msg.requestNewSession || false;
-      
-      console.log(`🛑 Stop received (New session requested: ${requestNewSession})`);
-      
-      if (conversationMessages.length > 0 && username && conversationId) {
-        console.log(`💾 Saving conversation before stop: ${username}_C_${conversationId} (${conversationMessages.length} messages)`);
-        await saveConversation(username, conversationId, conversationMessages, sessionId, true);
-        console.log(`✅ Conversation saved successfully`);
-      } else {
-        console.log('⚠️ No messages to save on stop');
-      }
-      
-      if (requestNewSession && sessionId) {
-        activeSessions.delete(sessionId);
-        console.log(`🆕 Session ${sessionId} removed - next start will create NEW row`);
-      }
-      
-      if (openaiWs) {
-        openaiWs.close();
-      }
-    }
-    
-    if (msg.type === 'emergency_save') {
-      console.log('🚨 Emergency save requested by client');
-      if (conversationMessages.length > 0 && username && conversationId) {
-        await saveConversation(username, conversationId, conversationMessages, sessionId, true);
-      }
-    }
-  });
+// Researcher Dashboard Routes
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function invalidFilter(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_FILTER';
+  return err;
+}
+
+// condition, from and to (YYYY-MM-DD) shared by the dashboard reports
+function reportFilters(query) {
+  const condition = query.condition ? String(query.condition) : null;
+  const from = query.from ? String(query.from) : null;
+  const to = query.to ? String(query.to) : null;
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    throw invalidFilter('Dates must use YYYY-MM-DD');
+  }
+  return { condition, from, to };
+}
+
+async function loadStudySummary(query) {
+  const filters = reportFilters(query);
+  const [users, records] = await Promise.all([
+    storage.listUsers(),
+    conversations.listAllConversations()
+  ]);
+  return buildStudySummary({ users, conversations: records, ...filters });
+}
 
-  clientWs.on('close', () => {
-    console.log('Client disconnected');
-    
-    if (autoSaveInterval) {
-      clearInterval(autoSaveInterval);
+app.get('/api/admin/summary', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const summary = await loadStudySummary(req.query);
+    res.json({ ...summary, conditions: [...studyConditions.keys()] });
+  } catch (err) {
+    if (err.code === 'INVALID_FILTER') {
+      return res.status(400).json({ error: err.message });
     }
-    
-    if (conversationMessages.length > 0 && username && conversationId) {
-      console.log(`💾 Final save on disconnect: ${username}_C_${conversationId} (${conversationMessages.length} messages)`);
-      saveConversation(username, conversationId, conversationMessages, sessionId, true);
-      console.log(`📊 Final conversation stats for ${username}: ${conversationMessages.length} messages`);
+    console.error('Admin Summary Error:', err.message);
+    res.status(500).json({ error: 'Failed to build study summary' });
+  }
+});
+
+// Realtime API tokens and cost grouped by participant, condition or day
+app.get('/api/admin/usage', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const groupBy = req.query.group_by ? String(req.query.group_by) : 'user';
+    if (!USAGE_GROUPS.includes(groupBy)) {
+      throw invalidFilter(`group_by must be one of: ${USAGE_GROUPS.join(', ')}`);
     }
-    
-    if (sessionId) {
-      setTimeout(() => {
-        if (activeSessions.has(sessionId)) {
-          activeSessions.delete(sessionId);
-          console.log(`🧹 Session cleaned up after disconnect: ${sessionId}`);
-        }
-      }, 5000);
+    const filters = reportFilters(req.query);
+
+    const [users, records] = await Promise.all([
+      storage.listUsers(),
+      conversations.listAllConversations()
+    ]);
+    res.json(buildUsageReport({ users, conversations: records, pricing, groupBy, ...filters }));
+  } catch (err) {
+    if (err.code === 'INVALID_FILTER') {
+      return res.status(400).json({ error: err.message });
     }
-    
-    if (openaiWs) openaiWs.close();
-  });
+    console.error('Admin Usage Error:', err.message);
+    res.status(500).json({ error: 'Failed to build usage report' });
+  }
+});
 
-  clientWs.on('error', (err) => {
-    console.error('Client WebSocket Error:', err.message);
-    
-    if (conversationMessages.length > 0 && username && conversationId) {
-      console.log('⚠️ Emergency save due to client error');
-      saveConversation(username, conversationId, conversationMessages, sessionId, true);
+app.get('/api/admin/summary.csv', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const summary = await loadStudySummary(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="study_summary_${date}.csv"`);
+    res.send(summaryToCsv(summary.rows));
+  } catch (err) {
+    if (err.code === 'INVALID_FILTER') {
+      return res.status(400).json({ error: err.message });
     }
-  });
+    console.error('Admin Export Error:', err.message);
+    res.status(500).json({ error: 'Failed to export study summary' });
+  }
 });
 
+wss.on('connection', createConnectionHandler({
+  config,
+  authSessions,
+  storage,
+  conversations,
+  resolveUserCondition
+}));
+
 server.listen(config.PORT || process.env.PORT || 3000, '0.0.0.0', () => {
   const port = config.PORT || process.env.PORT || 3000;
   console.log(`Server running on port ${port}`);
@@ -647,5 +531,5 @@ server.listen(config.PORT || process.env.PORT || 3000, '0.0.0.0', () => {
   } else {
     console.log(`Local network access: http://[YOUR_IP]:${port}`);
   }
-  console.log('💾 Conversations will be saved to Supabase');
+  console.log(`💾 Conversations will be saved to: ${storage.name}`);
 });
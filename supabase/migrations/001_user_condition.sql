@@ -0,0 +1,2 @@
+-- Study condition assigned to each participant (see lib/conditions.js)
+alter table users add column if not exists condition text;
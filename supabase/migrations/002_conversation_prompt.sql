@@ -0,0 +1,4 @@
+-- Which facilitator prompt produced each conversation (see lib/prompts.js)
+alter table conversations add column if not exists prompt_id text;
+alter table conversations add column if not exists prompt_version text;
+alter table conversations add column if not exists prompt_hash text;
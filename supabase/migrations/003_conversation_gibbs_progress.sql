@@ -0,0 +1,2 @@
+-- Current Gibbs phase and follow-up counts per phase (see lib/gibbs.js)
+alter table conversations add column if not exists gibbs_progress jsonb;
@@ -0,0 +1,4 @@
+-- Private bucket for per-turn WAV files (config AUDIO_BUCKET, see lib/audio-archive.js)
+insert into storage.buckets (id, name, public)
+values ('conversation-audio', 'conversation-audio', false)
+on conflict (id) do nothing;
@@ -0,0 +1,2 @@
+-- 'participant' (default) or 'admin' for the researcher dashboard (admin.html)
+alter table users add column if not exists role text not null default 'participant';
@@ -0,0 +1,11 @@
+-- Participant-edited reflection documents drafted from a conversation (see lib/reflection.js)
+create table if not exists reflections (
+  id bigint generated always as identity primary key,
+  username text not null,
+  conversation_id text not null,
+  status text not null default 'draft',
+  sections jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (username, conversation_id)
+);
@@ -0,0 +1,3 @@
+-- Aggregated turn latency and speaking-time metrics (see lib/metrics.js);
+-- per-turn values live on each entry of messages
+alter table conversations add column if not exists metrics jsonb;
@@ -0,0 +1,4 @@
+-- Participant locale (en, de, es; see lib/locales.js) and the locale each
+-- conversation ran in
+alter table users add column if not exists locale text not null default 'en';
+alter table conversations add column if not exists locale text;
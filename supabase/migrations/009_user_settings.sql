@@ -0,0 +1,4 @@
+-- Participant voice settings (voice, speed, silence_duration_ms,
+-- vad_threshold; see lib/settings.js). Null means the condition defaults.
+alter table users add column if not exists settings jsonb;
+alter table conversations add column if not exists settings jsonb;
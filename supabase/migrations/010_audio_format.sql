@@ -0,0 +1,3 @@
+-- Audio formats a conversation ran with (see lib/codecs.js), e.g.
+-- {"client": "opus", "upstream": "g711_ulaw", "transport": "binary"}
+alter table conversations add column if not exists audio_format jsonb;
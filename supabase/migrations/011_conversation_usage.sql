@@ -0,0 +1,3 @@
+-- Realtime API token usage summed over the conversation's responses (see
+-- lib/usage.js); per-response usage lives on each assistant message
+alter table conversations add column if not exists usage jsonb;
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ARCHIVE_SAMPLE_RATE, audioKey, createTurnRecorder, encodeWav } from '../lib/audio-archive.js';
+
+// A chunk of `length` bytes all set to `value`, base64 like the Realtime API sends it
+function chunk(value, length) {
+  return Buffer.alloc(length, value).toString('base64');
+}
+
+test('encodeWav writes a 44-byte PCM16 mono header in front of the samples', () => {
+  const pcm = Buffer.from([1, 0, 2, 0, 3, 0]);
+  const wav = encodeWav(pcm);
+
+  assert.equal(wav.length, 44 + pcm.length);
+  assert.equal(wav.toString('latin1', 0, 4), 'RIFF');
+  assert.equal(wav.readUInt32LE(4), 36 + pcm.length);
+  assert.equal(wav.toString('latin1', 8, 16), 'WAVEfmt ');
+  assert.equal(wav.readUInt32LE(16), 16);
+  assert.equal(wav.readUInt16LE(20), 1);
+  assert.equal(wav.readUInt16LE(22), 1);
+  assert.equal(wav.readUInt32LE(24), ARCHIVE_SAMPLE_RATE);
+  assert.equal(wav.readUInt32LE(28), ARCHIVE_SAMPLE_RATE * 2);
+  assert.equal(wav.readUInt16LE(32), 2);
+  assert.equal(wav.readUInt16LE(34), 16);
+  assert.equal(wav.toString('latin1', 36, 40), 'data');
+  assert.equal(wav.readUInt32LE(40), pcm.length);
+  assert.deepEqual(wav.subarray(44), pcm);
+
+  const other = encodeWav(Buffer.alloc(0), 16000);
+  assert.equal(other.length, 44);
+  assert.equal(other.readUInt32LE(4), 36);
+  assert.equal(other.readUInt32LE(24), 16000);
+  assert.equal(other.readUInt32LE(28), 32000);
+  assert.equal(other.readUInt32LE(40), 0);
+});
+
+test('audioKey nests turns under the user and conversation', () => {
+  assert.equal(audioKey('alice', 7, 'item_abc', 'user'), 'alice/7/item_abc-user.wav');
+});
+
+test('a user turn starts with exactly prerollMs of the audio before speech_started', () => {
+  // 100 ms at 1 kHz is 100 samples, 200 bytes
+  const recorder = createTurnRecorder({ prerollMs: 100, sampleRate: 1000 });
+  recorder.appendInput(chunk(1, 150));
+  recorder.appendInput(chunk(2, 150));
+  recorder.appendInput(chunk(3, 30));
+
+  recorder.startUserTurn();
+  recorder.appendInput(chunk(4, 60));
+  const pcm = recorder.stopUserTurn();
+
+  assert.deepEqual(pcm, Buffer.concat([
+    Buffer.alloc(20, 1),
+    Buffer.alloc(150, 2),
+    Buffer.alloc(30, 3),
+    Buffer.alloc(60, 4)
+  ]));
+});
+
+test('a turn that starts early keeps what pre-roll there is', () => {
+  const recorder = createTurnRecorder({ prerollMs: 100, sampleRate: 1000 });
+  recorder.startUserTurn();
+  recorder.appendInput(chunk(1, 10));
+  assert.deepEqual(recorder.stopUserTurn(), Buffer.alloc(10, 1));
+
+  recorder.appendInput(chunk(2, 50));
+  recorder.startUserTurn();
+  assert.deepEqual(recorder.stopUserTurn(), Buffer.alloc(50, 2));
+});
+
+test('user turns are cut at speech_started and speech_stopped', () => {
+  const recorder = createTurnRecorder({ prerollMs: 0, sampleRate: 1000 });
+  assert.equal(recorder.stopUserTurn(), null);
+
+  recorder.appendInput(chunk(1, 40));
+  recorder.startUserTurn();
+  recorder.appendInput(chunk(2, 20));
+  recorder.appendInput(chunk(3, 20));
+  assert.deepEqual(recorder.stopUserTurn(), Buffer.concat([Buffer.alloc(20, 2), Buffer.alloc(20, 3)]));
+  // Closing a turn twice yields nothing
+  assert.equal(recorder.stopUserTurn(), null);
+
+  // Silence between turns only feeds the pre-roll of the next one
+  recorder.appendInput(chunk(4, 40));
+  recorder.startUserTurn();
+  recorder.appendInput(chunk(5, 10));
+  assert.deepEqual(recorder.stopUserTurn(), Buffer.alloc(10, 5));
+});
+
+test('the pre-roll buffer stays bounded during long silences', () => {
+  const recorder = createTurnRecorder({ prerollMs: 100, sampleRate: 1000 });
+  for (let i = 0; i < 1000; i++) recorder.appendInput(chunk(i % 256, 50));
+  recorder.startUserTurn();
+  const pcm = recorder.stopUserTurn();
+  assert.equal(pcm.length, 200);
+  assert.deepEqual(pcm.subarray(150), Buffer.alloc(50, 999 % 256));
+});
+
+test('takeAssistantTurn returns the response audio once and then starts over', () => {
+  const recorder = createTurnRecorder();
+  assert.equal(recorder.takeAssistantTurn(), null);
+
+  recorder.appendOutput(chunk(1, 4));
+  recorder.appendOutput(chunk(2, 4));
+  // Participant audio never ends up in the assistant turn
+  recorder.appendInput(chunk(9, 4));
+  assert.deepEqual(recorder.takeAssistantTurn(), Buffer.concat([Buffer.alloc(4, 1), Buffer.alloc(4, 2)]));
+  assert.equal(recorder.takeAssistantTurn(), null);
+
+  recorder.appendOutput(chunk(3, 2));
+  assert.deepEqual(recorder.takeAssistantTurn(), Buffer.alloc(2, 3));
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSessionStore,
+  getBearerToken,
+  hashPassword,
+  isHashedPassword,
+  isValidUsername,
+  sanitizeUsername,
+  verifyPassword
+} from '../lib/auth.js';
+
+test('hashPassword stores a salted scrypt hash that verifyPassword accepts', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.ok(isHashedPassword(stored));
+  // A fresh salt every time
+  assert.notEqual(await hashPassword('correct horse'), stored);
+
+  assert.deepEqual(await verifyPassword('correct horse', stored), { valid: true, needsRehash: false });
+  assert.deepEqual(await verifyPassword('correct horse ', stored), { valid: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword('', stored), { valid: false, needsRehash: false });
+});
+
+test('verifyPassword rejects malformed hashes and non-string input', async () => {
+  assert.deepEqual(await verifyPassword('x', 'scrypt$'), { valid: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword('x', 'scrypt$abcd'), { valid: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword(undefined, await hashPassword('x')), { valid: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword('x', null), { valid: false, needsRehash: false });
+});
+
+test('a legacy plaintext password is accepted once and flagged for upgrade', async () => {
+  assert.equal(isHashedPassword('hunter2'), false);
+  assert.deepEqual(await verifyPassword('hunter2', 'hunter2'), { valid: true, needsRehash: true });
+  assert.deepEqual(await verifyPassword('hunter3', 'hunter2'), { valid: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword('hunter', 'hunter2'), { valid: false, needsRehash: false });
+
+  // What /api/login stores after the first successful login
+  const upgraded = await hashPassword('hunter2');
+  assert.deepEqual(await verifyPassword('hunter2', upgraded), { valid: true, needsRehash: false });
+});
+
+test('session tokens are random and resolve to their user until they expire', (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const sessions = createSessionStore({ ttlMs: 1000 });
+
+  const { token, expiresAt } = sessions.create('alice');
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.equal(expiresAt, now + 1000);
+  assert.notEqual(sessions.create('alice').token, token);
+  assert.deepEqual(sessions.get(token), { token, username: 'alice', expiresAt });
+
+  now += 999;
+  assert.equal(sessions.get(token).username, 'alice');
+  now += 1;
+  assert.equal(sessions.get(token), null);
+  // An expired token stays gone
+  now -= 500;
+  assert.equal(sessions.get(token), null);
+
+  assert.equal(sessions.get('unknown'), null);
+  assert.equal(sessions.get(null), null);
+});
+
+test('revoke ends a session and prune drops the expired ones', (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const sessions = createSessionStore({ ttlMs: 100 });
+
+  const first = sessions.create('alice');
+  const second = sessions.create('bob');
+  assert.equal(sessions.revoke(first.token), true);
+  assert.equal(sessions.revoke(first.token), false);
+  assert.equal(sessions.get(first.token), null);
+  assert.equal(sessions.get(second.token).username, 'bob');
+
+  now = 50;
+  const third = sessions.create('carol');
+  now = 100;
+  sessions.prune();
+  assert.equal(sessions.get(second.token), null);
+  assert.equal(sessions.get(third.token).username, 'carol');
+});
+
+test('getBearerToken and sanitizeUsername', () => {
+  assert.equal(getBearerToken({ headers: { authorization: 'Bearer abc123' } }), 'abc123');
+  assert.equal(getBearerToken({ headers: { authorization: 'bearer abc123' } }), 'abc123');
+  assert.equal(getBearerToken({ headers: { authorization: 'Basic abc123' } }), null);
+  assert.equal(getBearerToken({ headers: {} }), null);
+
+  assert.equal(sanitizeUsername('anna.m@uni.de'), 'anna_m_uni_de');
+  assert.equal(sanitizeUsername('../etc/passwd'), '___etc_passwd');
+  assert.equal(sanitizeUsername('ok_Name-1'), 'ok_Name-1');
+});
+
+test('isValidUsername only accepts names that are already in sanitized form', () => {
+  for (const username of ['alice', 'Bob_1', 'p-07']) {
+    assert.equal(isValidUsername(username), true, username);
+    assert.equal(sanitizeUsername(username), username);
+  }
+  for (const username of ['bob.1', 'anna m', '../etc', 'ü', '', null, 42]) {
+    assert.equal(isValidUsername(username), false, String(username));
+  }
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResampler, floatToPcm16, rmsLevel } from '../client/capture-worklet.js';
+
+function tone(frequency, rate, seconds = 1) {
+  return Float32Array.from({ length: rate * seconds }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / rate));
+}
+
+// Feeds the signal in 128-sample render quanta, like the audio thread does
+function resampleStream(samples, inputRate, outputRate) {
+  const resampler = createResampler(inputRate, outputRate);
+  const chunks = [];
+  for (let i = 0; i < samples.length; i += 128) {
+    chunks.push(resampler.push(samples.subarray(i, i + 128)));
+  }
+  const output = new Float32Array(chunks.reduce((n, chunk) => n + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+test('createResampler converts common device rates to 24 kHz and keeps speech-band tones', () => {
+  for (const rate of [44100, 48000]) {
+    const output = resampleStream(tone(1000, rate), rate, 24000);
+    // Everything except the filter's look-ahead comes out
+    assert.ok(Math.abs(output.length - 24000) < 64, `${rate}: ${output.length} samples`);
+    assert.ok(Math.abs(rmsLevel(output.subarray(1000)) - 0.5 / Math.SQRT2) < 0.005, `${rate}: level`);
+  }
+});
+
+test('createResampler filters content above the new Nyquist frequency instead of aliasing it', () => {
+  const output = resampleStream(tone(15000, 48000), 48000, 24000);
+  assert.ok(rmsLevel(output.subarray(1000)) < 0.01);
+});
+
+test('floatToPcm16 clips and scales to the signed 16-bit range', () => {
+  assert.deepEqual([...floatToPcm16(Float32Array.from([0, 1, -1, 2, -0.5]))], [0, 32767, -32768, 32767, -16384]);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createClientCodec,
+  createUpstreamCodec,
+  decodeAlawSample,
+  decodeUlawSample,
+  encodeAlawSample,
+  encodeUlawSample,
+  loadOpus
+} from '../lib/codecs.js';
+
+test('G.711 encoders match the reference code points and round-trip within a quantisation step', () => {
+  assert.equal(encodeUlawSample(0), 0xFF);
+  assert.equal(decodeUlawSample(0xFF), 0);
+  assert.equal(encodeAlawSample(0), 0xD5);
+  assert.equal(decodeAlawSample(0xD5), 8);
+  assert.equal(encodeUlawSample(32767), 0x80);
+  assert.equal(encodeUlawSample(-32768), 0x00);
+
+  for (const sample of [-30000, -1000, -40, 40, 1000, 12345, 30000]) {
+    // Logarithmic coding: the error grows with the magnitude (~3%)
+    const tolerance = Math.max(16, Math.abs(sample) * 0.035);
+    assert.ok(Math.abs(decodeUlawSample(encodeUlawSample(sample)) - sample) <= tolerance, `ulaw ${sample}`);
+    assert.ok(Math.abs(decodeAlawSample(encodeAlawSample(sample)) - sample) <= tolerance, `alaw ${sample}`);
+  }
+});
+
+test('a G.711 upstream codec carries 24 kHz PCM16 at a third of the sample rate and one byte per sample', () => {
+  const codec = createUpstreamCodec('g711_alaw');
+  const pcm = Buffer.alloc(48000); // one second
+  for (let i = 0; i < 24000; i++) {
+    pcm.writeInt16LE(Math.round(8000 * Math.sin(2 * Math.PI * 440 * i / 24000)), i * 2);
+  }
+
+  const g711 = codec.toUpstream(pcm);
+  assert.ok(Math.abs(g711.length - 8000) < 64, `${g711.length} bytes`);
+
+  const back = codec.fromUpstream(g711);
+  assert.ok(Math.abs(back.length - 48000) < 400, `${back.length} bytes`);
+  assert.throws(() => createUpstreamCodec('mp3'), /Unknown upstream audio format/);
+});
+
+test('createClientCodec falls back to PCM16 for unknown or missing preferences', async () => {
+  assert.equal((await createClientCodec(['flac'])).name, 'pcm16');
+  assert.equal((await createClientCodec(undefined)).name, 'pcm16');
+  assert.equal((await createClientCodec(['pcm16', 'opus'])).name, 'pcm16');
+});
+
+test('the opus client codec sends whole 20 ms packets and pads the last one', { skip: !(await loadOpus()) && 'opusscript not installed' }, async () => {
+  const codec = await createClientCodec(['opus']);
+  assert.equal(codec.name, 'opus');
+
+  const packets = codec.encode(Buffer.alloc(960 * 2 + 100));
+  assert.equal(packets.length, 2);
+  assert.ok(packets.every(packet => packet.length < 960));
+  assert.equal(codec.flush().length, 1);
+  assert.equal(codec.flush().length, 0);
+  assert.equal(codec.decode(packets[0]).length, 960);
+  codec.close();
+});
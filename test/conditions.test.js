@@ -0,0 +1,72 @@
+import { before, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countAssignments, createConditionAssigner, loadConditions, pickCondition } from '../lib/conditions.js';
+import { createMemoryStorage } from '../lib/storage/index.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+// Two arms on top of the default condition
+function twoArms() {
+  const { conditions } = loadConditions({ CONDITIONS_FILE: './test/no-such-conditions.json' });
+  conditions.set('V', { ...conditions.get('C'), id: 'V' });
+  return { conditions, active: ['C', 'V'] };
+}
+
+test('pickCondition picks among the arms with the fewest participants', () => {
+  assert.equal(pickCondition(['C', 'V', 'T'], { C: 2, V: 1, T: 2 }), 'V');
+  for (let i = 0; i < 20; i++) {
+    assert.ok(['V', 'T'].includes(pickCondition(['C', 'V', 'T'], { C: 3, V: 1, T: 1 })));
+    assert.ok(['C', 'V'].includes(pickCondition(['C', 'V'], { C: 9 }, 'random')));
+  }
+  // Inactive arms do not count against the active ones
+  assert.equal(pickCondition(['V'], { C: 0, V: 5 }), 'V');
+  assert.throws(() => pickCondition([], {}), /No active study conditions/);
+});
+
+test('countAssignments counts users per condition and skips unassigned ones', () => {
+  assert.deepEqual(countAssignments([
+    { username: 'a', condition: 'C' },
+    { username: 'b', condition: 'V' },
+    { username: 'c', condition: 'C' },
+    { username: 'd' }
+  ]), { C: 2, V: 1 });
+  assert.deepEqual(countAssignments([]), {});
+});
+
+test('balanced assignment keeps the arms level as participants sign up', async () => {
+  const storage = createMemoryStorage();
+  const { chooseCondition } = createConditionAssigner({ storage, ...twoArms() });
+
+  for (let i = 0; i < 10; i++) {
+    await storage.createUser({ username: `p${i}`, password: 'x', condition: await chooseCondition() });
+    const counts = countAssignments(await storage.listUsers());
+    assert.ok(Math.abs((counts.C || 0) - (counts.V || 0)) <= 1, `arms level after ${i + 1} sign-ups`);
+  }
+  assert.deepEqual(countAssignments(await storage.listUsers()), { C: 5, V: 5 });
+});
+
+test('resolveUserCondition backfills a missing assignment once and then keeps it', async () => {
+  const storage = createMemoryStorage();
+  await storage.createUser({ username: 'early', password: 'x' });
+  await storage.createUser({ username: 'other', password: 'x', condition: 'C' });
+  const { resolveUserCondition } = createConditionAssigner({ storage, ...twoArms() });
+
+  assert.equal((await resolveUserCondition('early')).id, 'V');
+  assert.equal((await storage.getUser('early')).condition, 'V');
+  assert.equal((await resolveUserCondition('other')).id, 'C');
+});
+
+test('resolveUserCondition never reassigns or falls back to the default condition', async () => {
+  const storage = createMemoryStorage();
+  await storage.createUser({ username: 'retired', password: 'x', condition: 'OLD' });
+  const { resolveUserCondition } = createConditionAssigner({ storage, ...twoArms() });
+
+  await assert.rejects(resolveUserCondition('retired'), { code: 'UNKNOWN_CONDITION' });
+  assert.equal((await storage.getUser('retired')).condition, 'OLD');
+  await assert.rejects(resolveUserCondition('nobody'), { code: 'USER_NOT_FOUND' });
+
+  storage.getUser = async () => { throw new Error('database unavailable'); };
+  await assert.rejects(resolveUserCondition('retired'), /database unavailable/);
+});
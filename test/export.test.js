@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { renderDocx, renderMarkdown, renderText, renderTranscript, renderVtt } from '../lib/export.js';
+import { createZip } from '../lib/zip.js';
+
+const record = {
+  username: 'alice',
+  conversation_id: 7,
+  timestamp: '2026-03-02T10:05:00.000Z',
+  messages: [
+    // Stored out of order; exports follow the sequence
+    { sequence: 1, role: 'user', content: 'We <presented> & it went "fine".', timestamp: '2026-03-02T10:00:04.250Z' },
+    { sequence: 0, role: 'assistant', content: 'How did it go?', timestamp: '2026-03-02T10:00:00.000Z' },
+    { sequence: 2, role: 'assistant', content: 'And then...', timestamp: '2026-03-02T10:01:10.000Z', interrupted: true },
+    { sequence: 3, role: 'system', content: 'Not part of the transcript.', timestamp: '2026-03-02T10:01:11.000Z' },
+    { sequence: 4, role: 'user', content: 'Then I left early', timestamp: '2026-03-02T11:01:12.000Z' }
+  ]
+};
+
+// Reads a stored-entry ZIP back through its central directory, checking
+// that every local header agrees with it
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054B50, 'end of central directory');
+  const count = buffer.readUInt16LE(end + 10);
+  const size = buffer.readUInt32LE(end + 12);
+  let position = buffer.readUInt32LE(end + 16);
+  assert.equal(position + size, end, 'central directory ends where the end record starts');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(position), 0x02014B50, 'central directory header');
+    const crc = buffer.readUInt32LE(position + 16);
+    const length = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+
+    assert.equal(buffer.readUInt32LE(offset), 0x04034B50, `local header of ${name}`);
+    assert.equal(buffer.readUInt16LE(offset + 8), 0, 'stored, not compressed');
+    assert.equal(buffer.readUInt32LE(offset + 14), crc);
+    assert.equal(buffer.readUInt32LE(offset + 18), length);
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+    assert.equal(buffer.toString('utf8', offset + 30, dataStart), name);
+
+    entries.push({ name, crc, data: buffer.subarray(dataStart, dataStart + length) });
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+// zlib's CRC-32 of the data, from the gzip trailer
+function referenceCrc(data) {
+  const gzip = zlib.gzipSync(data);
+  return gzip.readUInt32LE(gzip.length - 8);
+}
+
+test('Markdown lists turns in sequence order with offsets and the interrupted marker', () => {
+  const md = renderMarkdown(record);
+  assert.match(md, /^# Reflection conversation 7\n/);
+  assert.match(md, /- Started: 2026-03-02T10:00:00.000Z/);
+  assert.match(md, /- Messages: 4/);
+  const headings = md.split('\n').filter(line => line.startsWith('**'));
+  assert.deepEqual(headings, [
+    '**Facilitator** `00:00:00`',
+    '**Participant** `00:00:04`',
+    '**Facilitator** `00:01:10` _(interrupted)_',
+    '**Participant** `01:01:12`'
+  ]);
+  assert.doesNotMatch(md, /Not part of the transcript/);
+});
+
+test('plain text puts the interrupted marker after the turn', () => {
+  const lines = renderText(record).trim().split('\n');
+  assert.equal(lines[0], 'Reflection conversation 7');
+  assert.equal(lines[3], '[00:00:00] Facilitator: How did it go?');
+  assert.equal(lines[5], '[00:01:10] Facilitator: And then... [interrupted]');
+  assert.equal(lines.length, 7);
+});
+
+test('WebVTT cues run from each turn to the next, relative to the first turn', () => {
+  const vtt = renderVtt(record);
+  const cues = vtt.trim().split('\n\n');
+  assert.equal(cues[0], 'WEBVTT');
+  assert.deepEqual(cues.slice(1).map(cue => cue.split('\n')), [
+    ['1', '00:00:00.000 --> 00:00:04.250', '<v Facilitator>How did it go?'],
+    ['2', '00:00:04.250 --> 00:01:10.000', '<v Participant>We &lt;presented&gt; &amp; it went "fine".'],
+    ['3', '00:01:10.000 --> 01:01:12.000', '<v Facilitator>And then... [interrupted]'],
+    // The last cue lasts 0.4 s per word
+    ['4', '01:01:12.000 --> 01:01:13.600', '<v Participant>Then I left early']
+  ]);
+});
+
+test('WebVTT gives turns without usable timestamps a minimum cue length', () => {
+  const vtt = renderVtt({
+    conversation_id: 8,
+    messages: [
+      { sequence: 0, role: 'assistant', content: 'Hi', timestamp: '2026-03-02T10:00:00.000Z' },
+      { sequence: 1, role: 'user', content: 'Same moment', timestamp: '2026-03-02T10:00:00.000Z' },
+      { sequence: 2, role: 'assistant', content: 'Ok' }
+    ]
+  });
+  assert.match(vtt, /^1\n00:00:00.000 --> 00:00:01.000\n/m);
+  assert.match(vtt, /^3\n00:00:00.000 --> 00:00:01.000\n/m);
+});
+
+test('createZip writes a valid archive with correct CRC-32 values', () => {
+  const binary = Buffer.from([0, 1, 2, 250, 255]);
+  const zip = createZip([
+    { name: 'a.txt', data: 'hello world' },
+    { name: 'dir/ü.bin', data: binary },
+    { name: 'empty', data: '' }
+  ], new Date(2026, 2, 2, 10, 30, 14));
+
+  const entries = readZip(zip);
+  assert.deepEqual(entries.map(e => e.name), ['a.txt', 'dir/ü.bin', 'empty']);
+  assert.equal(entries[0].data.toString(), 'hello world');
+  assert.deepEqual(entries[1].data, binary);
+  for (const entry of entries) {
+    assert.equal(entry.crc, referenceCrc(entry.data), `CRC of ${entry.name}`);
+  }
+  assert.equal(entries[0].crc, 0x0D4A1185);
+  assert.equal(entries[2].crc, 0);
+});
+
+test('a DOCX export is a valid package with the escaped transcript and the interrupted marker', () => {
+  const docx = renderTranscript(record, 'docx');
+  assert.deepEqual(renderDocx(record).subarray(0, 4), Buffer.from('PK\x03\x04', 'latin1'));
+
+  const entries = readZip(docx);
+  assert.deepEqual(entries.map(e => e.name), ['[Content_Types].xml', '_rels/.rels', 'word/document.xml']);
+  for (const entry of entries) {
+    assert.equal(entry.crc, referenceCrc(entry.data), `CRC of ${entry.name}`);
+  }
+
+  const documentXml = entries[2].data.toString('utf8');
+  assert.match(documentXml, /We &lt;presented&gt; &amp; it went &quot;fine&quot;\./);
+  assert.match(documentXml, /And then\.\.\.<\/w:t><\/w:r><w:r><w:rPr><w:i\/><\/w:rPr><w:t xml:space="preserve"> \(interrupted\)<\/w:t>/);
+  assert.doesNotMatch(documentXml, /Not part of the transcript/);
+  assert.match(entries[1].data.toString(), /Target="word\/document.xml"/);
+});
+
+// A facilitator turn cut off by a lost upstream connection (see lib/session.js)
+const droppedRecord = {
+  username: 'alice',
+  conversation_id: 9,
+  messages: [
+    { sequence: 0, role: 'assistant', content: 'How did you...', timestamp: '2026-03-02T10:00:00.000Z', interrupted: false, dropped: true },
+    { sequence: 1, role: 'assistant', content: 'How did you feel?', timestamp: '2026-03-02T10:00:05.000Z', interrupted: false }
+  ]
+};
+
+test('Markdown marks a turn cut off by a lost connection', () => {
+  const headings = renderMarkdown(droppedRecord).split('\n').filter(line => line.startsWith('**'));
+  assert.deepEqual(headings, [
+    '**Facilitator** `00:00:00` _(connection lost)_',
+    '**Facilitator** `00:00:05`'
+  ]);
+});
+
+test('plain text marks a turn cut off by a lost connection', () => {
+  const lines = renderText(droppedRecord).trim().split('\n');
+  assert.deepEqual(lines.slice(3), [
+    '[00:00:00] Facilitator: How did you... [connection lost]',
+    '[00:00:05] Facilitator: How did you feel?'
+  ]);
+});
+
+test('WebVTT marks a turn cut off by a lost connection', () => {
+  const cues = renderVtt(droppedRecord).trim().split('\n\n').slice(1).map(cue => cue.split('\n')[2]);
+  assert.deepEqual(cues, ['<v Facilitator>How did you... [connection lost]', '<v Facilitator>How did you feel?']);
+});
+
+test('DOCX marks a turn cut off by a lost connection', () => {
+  const documentXml = readZip(renderDocx(droppedRecord))[2].data.toString('utf8');
+  assert.match(documentXml, /How did you\.\.\.<\/w:t><\/w:r><w:r><w:rPr><w:i\/><\/w:rPr><w:t xml:space="preserve"> \(connection lost\)<\/w:t>/);
+  assert.equal(documentXml.match(/connection lost/g).length, 1);
+  assert.doesNotMatch(documentXml, /interrupted/);
+});
+
+test('renderTranscript rejects unknown formats', () => {
+  assert.throws(() => renderTranscript(record, 'pdf'), /Unsupported export format: pdf/);
+});
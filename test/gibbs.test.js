@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPhaseTracker, extractPhaseQuestions, phaseChangedMessage } from '../lib/gibbs.js';
+
+const QUESTIONS = [
+  'Can you describe what happened during your presentation?',
+  'How did you feel while you were presenting?',
+  'What went well and what went less well?',
+  'Why do you think some parts worked and others did not?',
+  'What have you learned from this experience?',
+  'What will you do differently next time?'
+];
+
+const PROMPT = [
+  'You are a reflective writing facilitator.',
+  '',
+  'Ask these questions in order:',
+  ...QUESTIONS.map((question, i) => `${i + 1}. ${question}`),
+  '',
+  'Keep your turns short.'
+].join('\n');
+
+test('extractPhaseQuestions reads the six numbered questions from the prompt', () => {
+  assert.deepEqual(extractPhaseQuestions(PROMPT), QUESTIONS);
+  assert.deepEqual(extractPhaseQuestions(PROMPT.replace(/\n/g, '\r\n')), QUESTIONS);
+});
+
+test('extractPhaseQuestions needs a complete list numbered from one', () => {
+  assert.equal(extractPhaseQuestions('1. Only one question?'), null);
+  // A numbered list elsewhere in the prompt does not restart the count
+  const withNotes = `${PROMPT}\n\nNotes:\n1. Be kind.\n2. Be brief.`;
+  assert.deepEqual(extractPhaseQuestions(withNotes), QUESTIONS);
+  assert.equal(extractPhaseQuestions(PROMPT.replace('3. ', '4. ')), null);
+  assert.equal(extractPhaseQuestions(''), null);
+});
+
+test('the tracker recognises a phase question despite small rewordings', () => {
+  const tracker = createPhaseTracker(QUESTIONS);
+  assert.equal(tracker.currentPhase(), null);
+
+  assert.deepEqual(tracker.observeAssistant('Hello! Can you describe what happened during your presentation?'), {
+    phase: 'description', changed: true, followUp: false
+  });
+  assert.deepEqual(tracker.observeAssistant('Thanks. So, how did you feel while presenting it?'), {
+    phase: 'feelings', changed: true, followUp: false
+  });
+  assert.deepEqual(phaseChangedMessage(tracker), { type: 'phase_changed', phase: 'feelings', name: 'Feelings', index: 1, total: 6 });
+});
+
+test('phases only move forward and may skip ahead', () => {
+  const tracker = createPhaseTracker(QUESTIONS);
+  tracker.observeAssistant(QUESTIONS[0]);
+  tracker.observeAssistant(QUESTIONS[2]);
+  assert.equal(tracker.currentPhase(), 'evaluation');
+
+  // Going back to an earlier question is a follow-up in the current phase
+  assert.deepEqual(tracker.observeAssistant(QUESTIONS[1]), { phase: 'evaluation', changed: false, followUp: true });
+  assert.equal(tracker.snapshot().index, 2);
+});
+
+test('follow-up questions are counted per phase; statements are not', () => {
+  const tracker = createPhaseTracker(QUESTIONS);
+  // Before the first phase question nothing counts
+  assert.deepEqual(tracker.observeAssistant('Shall we begin?'), { phase: null, changed: false, followUp: false });
+
+  tracker.observeAssistant(QUESTIONS[0]);
+  tracker.observeAssistant('Who was in the audience?');
+  tracker.observeAssistant('What slides did you use?');
+  tracker.observeAssistant('That sounds like a lot of work.');
+  tracker.observeAssistant(QUESTIONS[1]);
+  tracker.observeAssistant('Were you nervous?');
+
+  assert.deepEqual(tracker.snapshot(), {
+    phase: 'feelings',
+    index: 1,
+    follow_ups: { description: 2, feelings: 1, evaluation: 0, analysis: 0, conclusion: 0, action_plan: 0 }
+  });
+});
+
+test('replay rebuilds the state from stored messages on resume', () => {
+  const messages = [
+    { role: 'assistant', content: QUESTIONS[0] },
+    { role: 'user', content: 'What happened during my presentation? I froze.' },
+    { role: 'assistant', content: 'Why do you think you froze?' },
+    { role: 'assistant', content: QUESTIONS[1] },
+    { role: 'user', content: QUESTIONS[5] }
+  ];
+  const live = createPhaseTracker(QUESTIONS);
+  messages.filter(m => m.role === 'assistant').forEach(m => live.observeAssistant(m.content));
+
+  const resumed = createPhaseTracker(QUESTIONS);
+  resumed.replay(messages);
+  // Participant turns never move the phase
+  assert.deepEqual(resumed.snapshot(), live.snapshot());
+  assert.equal(resumed.currentPhase(), 'feelings');
+  assert.equal(resumed.snapshot().follow_ups.description, 1);
+
+  // and the resumed tracker carries on from there
+  assert.equal(resumed.observeAssistant(QUESTIONS[2]).phase, 'evaluation');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLocale } from '../lib/locales.js';
+import { loadPrompt } from '../lib/prompts.js';
+import { loadConditions, renderConditionPrompt } from '../lib/conditions.js';
+import { extractPhaseQuestions } from '../lib/gibbs.js';
+
+test('resolveLocale accepts browser tags and falls back to English', () => {
+  assert.equal(resolveLocale('de'), 'de');
+  assert.equal(resolveLocale('es-MX'), 'es');
+  assert.equal(resolveLocale('DE_at'), 'de');
+  assert.equal(resolveLocale('fr'), 'en');
+  assert.equal(resolveLocale(undefined), 'en');
+});
+
+test('loadPrompt uses the translated template and falls back to English', () => {
+  const english = loadPrompt('gibbs-reflection', 'v1');
+  const german = loadPrompt('gibbs-reflection', 'v1', { language: 'German' }, { locale: 'de' });
+  const missing = loadPrompt('gibbs-reflection', 'v1', {}, { locale: 'fr' });
+
+  assert.equal(english.locale, 'en');
+  assert.equal(german.locale, 'de');
+  assert.equal(missing.locale, 'en');
+  assert.equal(missing.text, english.text);
+  assert.match(german.text, /Always respond in German Language/);
+  assert.notEqual(german.hash, english.hash);
+});
+
+test('every translated prompt keeps the six numbered Gibbs questions', () => {
+  for (const locale of ['de', 'es']) {
+    const { text } = loadPrompt('gibbs-reflection', 'v1', {}, { locale });
+    assert.equal(extractPhaseQuestions(text).length, 6, locale);
+  }
+});
+
+test('renderConditionPrompt localizes the greeting and prompt variables', () => {
+  const { conditions } = loadConditions({ CONDITIONS_FILE: './test/no-such-conditions.json' });
+  const condition = conditions.get('C');
+
+  const english = renderConditionPrompt(condition);
+  const german = renderConditionPrompt(condition, 'de');
+  const spanish = renderConditionPrompt(condition, 'es');
+
+  assert.match(english.greeting, /^Hello there, I am Lexi\. .* term paper/);
+  assert.match(german.greeting, /^Hallo, ich bin Lexi\. .*Hausarbeit/);
+  assert.match(spanish.greeting, /trabajo final/);
+  assert.match(spanish.text, /Always respond in Spanish Language/);
+});
+
+test('a condition greeting given per locale falls back to English for missing locales', () => {
+  const condition = {
+    ...loadConditions({ CONDITIONS_FILE: './test/no-such-conditions.json' }).conditions.get('C'),
+    greeting: { en: 'Hi from {{persona}}' },
+    locale_prompt_variables: { de: { persona: 'Lexa' } }
+  };
+
+  assert.equal(renderConditionPrompt(condition, 'es').greeting, 'Hi from Lexi');
+  assert.equal(renderConditionPrompt(condition, 'de').greeting, 'Hi from Lexa');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTurnMetrics, summarizeMetrics } from '../lib/metrics.js';
+
+function fakeClock(start = 1000) {
+  let t = start;
+  return { now: () => t, advance: (ms) => { t += ms; } };
+}
+
+test('measures latency from speech_stopped to response.created and first audio', () => {
+  const clock = fakeClock();
+  const metrics = createTurnMetrics({ now: clock.now });
+
+  metrics.speechStarted({ audio_start_ms: 1000 });
+  clock.advance(3000);
+  metrics.speechStopped({ audio_end_ms: 3800, item_id: 'item_1' });
+  clock.advance(250);
+  metrics.responseCreated();
+  clock.advance(400);
+  metrics.audioDelta(Buffer.alloc(48000).toString('base64')); // 1 s of 24 kHz pcm16
+  metrics.audioDelta(Buffer.alloc(24000).toString('base64'));
+
+  assert.deepEqual(metrics.takeUserMetrics('item_1'), { speaking_ms: 2800 });
+  assert.deepEqual(metrics.takeAssistantMetrics('Thanks for sharing that.'), {
+    response_latency_ms: 250,
+    first_audio_ms: 650,
+    audio_ms: 1500,
+    words: 4
+  });
+});
+
+test('typed input starts the latency clock and unprompted responses have none', () => {
+  const clock = fakeClock();
+  const metrics = createTurnMetrics({ now: clock.now });
+
+  metrics.responseCreated();
+  assert.equal(metrics.takeAssistantMetrics('Hello').response_latency_ms, null);
+
+  metrics.textSubmitted();
+  clock.advance(120);
+  metrics.responseCreated();
+  const typed = metrics.takeAssistantMetrics('Reply');
+  assert.equal(typed.response_latency_ms, 120);
+  assert.equal(typed.first_audio_ms, null);
+});
+
+test('summarizeMetrics aggregates per conversation', () => {
+  const summary = summarizeMetrics([
+    { role: 'user', metrics: { speaking_ms: 1000 } },
+    { role: 'assistant', metrics: { response_latency_ms: 100, first_audio_ms: 400, audio_ms: 2000, words: 5 } },
+    { role: 'user', input_modality: 'text' },
+    { role: 'assistant', interrupted: true, metrics: { response_latency_ms: 300, first_audio_ms: null, audio_ms: 500, words: 2 } },
+    { role: 'assistant', metrics: { response_latency_ms: null, first_audio_ms: null, audio_ms: 0, words: 1 } }
+  ]);
+
+  assert.equal(summary.user_turns, 2);
+  assert.equal(summary.assistant_turns, 3);
+  assert.equal(summary.interruptions, 1);
+  assert.deepEqual(summary.response_latency_ms, { count: 2, mean: 200, median: 300, p90: 300, max: 300 });
+  assert.equal(summary.first_audio_ms.count, 1);
+  assert.equal(summary.user_speaking_ms, 1000);
+  assert.equal(summary.assistant_audio_ms, 2500);
+  assert.equal(summary.assistant_words, 8);
+});
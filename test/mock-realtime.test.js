@@ -0,0 +1,157 @@
+import { after, before, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import path from 'node:path';
+import { createSessionStore } from '../lib/auth.js';
+import { createMemoryStorage } from '../lib/storage/index.js';
+import { createConditionAssigner, loadConditions } from '../lib/conditions.js';
+import { createConversationService } from '../lib/conversations.js';
+import { createConnectionHandler } from '../lib/session.js';
+import { PROTOCOL_VERSION, validateServerMessage } from '../lib/protocol.js';
+import { DEFAULT_FIXTURE, loadFixture, startMockRealtimeServer } from '../mock/realtime-server.js';
+
+// The proxy against the bundled mock over real WebSockets, with the mock's
+// delays scaled to zero
+const ERRORS_FIXTURE = path.join(path.dirname(DEFAULT_FIXTURE), 'errors.json');
+
+// 100 ms of PCM16 silence; the timer VAD finds turns in the audio clock alone
+const FRAME = Buffer.alloc(2400 * 2);
+
+const servers = [];
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(async () => {
+  await Promise.all(servers.map(server => server.close()));
+});
+
+function createFakeClient() {
+  const ws = new EventEmitter();
+  ws.sent = [];
+  ws.send = (data) => {
+    if (Buffer.isBuffer(data)) return;
+    const msg = JSON.parse(data);
+    const { ok, error } = validateServerMessage(msg);
+    assert.ok(ok, error);
+    ws.sent.push(msg);
+  };
+  ws.close = () => {};
+  ws.receive = (msg) => ws.emit('message', Buffer.from(JSON.stringify(msg)), false);
+  return ws;
+}
+
+async function waitFor(predicate, what) {
+  const deadline = Date.now() + 5000;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+async function startAgainstMock(fixture) {
+  const server = await startMockRealtimeServer({ port: 0, fixture, pace: 0 });
+  servers.push(server);
+
+  const storage = createMemoryStorage();
+  await storage.createUser({ username: 'alice', password: 'x', condition: 'C' });
+  const authSessions = createSessionStore({ ttlMs: 60000 });
+  const { token } = authSessions.create('alice');
+  const { conditions, active } = loadConditions({ CONDITIONS_FILE: './test/no-such-conditions.json' });
+
+  const handleConnection = createConnectionHandler({
+    config: { REALTIME_URL: `ws://localhost:${server.port}/v1/realtime`, REALTIME_MODEL: 'mock-model' },
+    authSessions,
+    storage,
+    conversations: createConversationService({ storage, retryDelay: 0 }),
+    resolveUserCondition: createConditionAssigner({ storage, conditions, active }).resolveUserCondition,
+    greetingDelayMs: 0,
+    reconnectDelaysMs: [0, 0]
+  });
+
+  const client = createFakeClient();
+  handleConnection(client, { url: '/' });
+  client.receive({ type: 'start', protocolVersion: PROTOCOL_VERSION, token, sessionId: 1000, conversationId: 2000 });
+
+  const received = (type) => client.sent.filter(m => m.type === type);
+  const messages = async () => {
+    const record = await storage.loadConversation('alice', 2000);
+    return record ? record.messages : [];
+  };
+  // Streams silence frame by frame until the mock's timer VAD has
+  // opened and closed one participant turn
+  const speakOneTurn = async () => {
+    const stopped = received('speech_stopped').length;
+    for (let i = 0; i < 100 && received('speech_stopped').length === stopped; i++) {
+      client.emit('message', FRAME, true);
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+  return { client, received, messages, speakOneTurn };
+}
+
+test('the mock greets, detects a timed user turn and plays back an error response', async () => {
+  const session = await startAgainstMock(loadFixture(ERRORS_FIXTURE));
+  const { client, received, messages } = session;
+
+  await waitFor(() => received('response_complete').length === 1, 'greeting');
+  assert.equal(received('connection_ready').length, 1);
+  assert.equal(received('assistant_transcript_complete')[0].text, 'Hello there, I am Lexi. Can you describe your experience there?');
+
+  await session.speakOneTurn();
+  assert.equal(received('speech_started').length, 1);
+  await waitFor(() => received('user_transcription').length === 1, 'user transcript');
+  assert.deepEqual(received('user_transcription')[0], {
+    type: 'user_transcription', text: 'This is a scripted answer.', inputModality: 'voice', sequence: 1
+  });
+
+  // The fixture's second response is a server error
+  await waitFor(() => received('error').length === 1, 'upstream error');
+  assert.deepEqual(received('error')[0], {
+    type: 'error', code: 'UPSTREAM_ERROR', message: 'The server had an error while processing your request.'
+  });
+
+  client.emit('close');
+  await waitFor(async () => (await messages()).length === 2, 'final save');
+  assert.deepEqual((await messages()).map(m => [m.sequence, m.role, m.content]), [
+    [0, 'assistant', 'Hello there, I am Lexi. Can you describe your experience there?'],
+    [1, 'user', 'This is a scripted answer.']
+  ]);
+});
+
+test('drop_after_responses cuts the upstream mid-response and the proxy answers again after reconnecting', async () => {
+  const fixture = {
+    ...loadFixture(ERRORS_FIXTURE),
+    responses: [
+      { text: 'Hello there, I am Lexi. Can you describe your experience there?', audio_ms: 1500 },
+      { text: 'Thank you. How did you feel while you were writing it?', audio_ms: 1500 }
+    ],
+    drop_after_responses: 2
+  };
+  const session = await startAgainstMock(fixture);
+  const { client, received, messages } = session;
+
+  await waitFor(() => received('response_complete').length === 1, 'greeting');
+  await session.speakOneTurn();
+
+  await waitFor(() => received('reconnected').length === 1, 'reconnection');
+  assert.equal(received('reconnecting').length, 1);
+  const [interrupted] = received('response_interrupted');
+  assert.deepEqual(interrupted, { type: 'response_interrupted', sequence: 2, reason: 'dropped' });
+
+  // The cut-off answer is asked for again on the new socket
+  await waitFor(() => received('response_complete').length === 2, 'response after reconnecting');
+  assert.equal(received('error').length, 0);
+
+  client.emit('close');
+  await waitFor(async () => (await messages()).length === 4, 'final save');
+  const stored = await messages();
+  assert.deepEqual(stored.map(m => [m.sequence, m.role]), [[0, 'assistant'], [1, 'user'], [2, 'assistant'], [3, 'assistant']]);
+  assert.equal(stored[2].dropped, true);
+  assert.equal(stored[2].interrupted, false);
+  assert.match(stored[2].content, /^Thank you\./);
+  assert.equal(stored[3].dropped, undefined);
+});
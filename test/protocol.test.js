@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CLIENT_MESSAGES, parseClientMessage, PROTOCOL_VERSION, SERVER_MESSAGES, validateServerMessage } from '../lib/protocol.js';
+
+test('the catalog is the global the browser sees', () => {
+  assert.equal(globalThis.VoiceProtocol.VERSION, PROTOCOL_VERSION);
+  assert.ok(CLIENT_MESSAGES.start.protocolVersion);
+  assert.ok(SERVER_MESSAGES.error.code);
+});
+
+test('client messages are checked field by field', () => {
+  assert.deepEqual(
+    parseClientMessage(JSON.stringify({ type: 'start', protocolVersion: PROTOCOL_VERSION, sessionId: 5, conversationId: null, extra: true })),
+    { ok: true, message: { type: 'start', protocolVersion: PROTOCOL_VERSION, sessionId: 5, conversationId: null, extra: true } }
+  );
+  assert.deepEqual(parseClientMessage('not json'), { ok: false, code: 'INVALID_JSON', error: 'Message is not valid JSON' });
+  assert.equal(parseClientMessage('[]').code, 'INVALID_MESSAGE');
+  assert.equal(parseClientMessage('{"type": 7}').code, 'INVALID_MESSAGE');
+  assert.deepEqual(parseClientMessage('{"type": "dance"}'), { ok: false, code: 'UNKNOWN_MESSAGE_TYPE', error: 'Unknown message type "dance"' });
+  assert.equal(parseClientMessage('{"type": "start", "protocolVersion": 1.5}').error, 'start.protocolVersion must be an integer');
+  assert.equal(parseClientMessage('{"type": "resync", "turns": {}}').error, 'resync.turns must be an array');
+});
+
+test('server messages are checked against the same catalog', () => {
+  assert.ok(validateServerMessage({ type: 'response_complete' }).ok);
+  assert.ok(validateServerMessage({ type: 'response_complete', sequence: 3 }).ok);
+  assert.equal(validateServerMessage({ type: 'error', message: 'No code' }).error, 'error.code is required');
+  assert.equal(validateServerMessage({ type: 'audio' }).code, 'UNKNOWN_MESSAGE_TYPE');
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReflectionDraft, normalizeReflectionSections } from '../lib/reflection.js';
+
+test('buildReflectionDraft groups the participant turns under the six Gibbs headings', () => {
+  const draft = buildReflectionDraft([
+    { sequence: 0, role: 'assistant', content: 'Can you describe your experience there?', phase: null },
+    { sequence: 1, role: 'user', content: 'We wrote a paper.', phase: null },
+    { sequence: 3, role: 'user', content: 'I felt nervous.', phase: 'feelings' },
+    { sequence: 2, role: 'user', content: 'It took a month.', phase: 'description' },
+    { sequence: 4, role: 'user', content: '  ', phase: 'feelings' },
+    { sequence: 5, role: 'user', content: 'Next time I will plan.', phase: 'action_plan' }
+  ]);
+
+  assert.deepEqual(draft.map(s => s.heading), ['Description', 'Feelings', 'Evaluation', 'Analysis', 'Conclusion', 'Action Plan']);
+  assert.equal(draft[0].text, 'We wrote a paper.\n\nIt took a month.');
+  assert.equal(draft[1].text, 'I felt nervous.');
+  assert.equal(draft[2].text, '');
+  assert.equal(draft[5].text, 'Next time I will plan.');
+});
+
+test('normalizeReflectionSections keeps known phases in order and rejects bad payloads', () => {
+  const sections = normalizeReflectionSections([
+    { phase: 'conclusion', text: 'Done.' },
+    { phase: 'bogus', text: 'ignored' },
+    { phase: 'description', text: 'Intro.' }
+  ]);
+  assert.equal(sections.length, 6);
+  assert.equal(sections[0].text, 'Intro.');
+  assert.equal(sections[4].text, 'Done.');
+
+  assert.equal(normalizeReflectionSections('nope'), null);
+  assert.equal(normalizeReflectionSections([{ phase: 'description', text: 5 }]), null);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clientVadFor, normalizeSettings, resolveSettings } from '../lib/settings.js';
+
+const condition = {
+  voice: 'alloy',
+  speed: 1.0,
+  turn_detection: { type: 'server_vad', threshold: 0.8, prefix_padding_ms: 500, silence_duration_ms: 3000 },
+  lock_settings: false
+};
+
+test('normalizeSettings accepts partial payloads and rejects bad values with INVALID_SETTINGS', () => {
+  assert.deepEqual(normalizeSettings({ voice: 'sage', silence_duration_ms: 2000.4 }), { voice: 'sage', silence_duration_ms: 2000 });
+  assert.deepEqual(normalizeSettings({}), {});
+
+  for (const payload of [null, [], { voice: 'robot' }, { speed: 3 }, { vad_threshold: '0.7' }, { volume: 1 }]) {
+    assert.throws(() => normalizeSettings(payload), { code: 'INVALID_SETTINGS' }, JSON.stringify(payload));
+  }
+});
+
+test('resolveSettings layers valid user values over the condition and honours lock_settings', () => {
+  const stored = { voice: 'echo', speed: 9, silence_duration_ms: 4000 };
+
+  assert.deepEqual(resolveSettings(condition, stored), {
+    settings: { voice: 'echo', speed: 1.0, silence_duration_ms: 4000, vad_threshold: 0.8 },
+    locked: false
+  });
+  assert.deepEqual(resolveSettings({ ...condition, lock_settings: true }, stored), {
+    settings: { voice: 'alloy', speed: 1.0, silence_duration_ms: 3000, vad_threshold: 0.8 },
+    locked: true
+  });
+});
+
+test('clientVadFor keeps the original client gate for the default settings', () => {
+  assert.deepEqual(clientVadFor(resolveSettings(condition, null).settings), { level_threshold: 0.05, max_silence_ms: 3500 });
+});
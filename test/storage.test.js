@@ -0,0 +1,223 @@
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createLocalStorage, createMemoryStorage, createSupabaseStorage } from '../lib/storage/index.js';
+
+const UNIQUE_KEYS = {
+  conversations: ['username', 'conversation_id'],
+  users: ['username'],
+  reflections: ['username', 'conversation_id']
+};
+
+// Just enough of the supabase-js client for lib/storage/supabase.js: the
+// query builder resolves to { data, error } with PostgREST's error codes
+// (PGRST116 for .single() without a row, 23505 for a unique violation)
+function createFakeSupabase() {
+  const tables = { conversations: [], users: [], reflections: [] };
+  const buckets = new Map();
+  let nextId = 1;
+
+  function query(table) {
+    const rows = tables[table];
+    const filters = [];
+    let action = 'select';
+    let payload = null;
+    let columns = '*';
+    let order = null;
+    let single = false;
+
+    const matches = row => filters.every(([column, value]) => row[column] === value);
+    const sameKey = (a, b) => UNIQUE_KEYS[table].every(column => a[column] === b[column]);
+    const project = row => {
+      if (columns === '*') return structuredClone(row);
+      return Object.fromEntries(columns.split(',').map(c => c.trim()).map(c => [c, row[c] ?? null]));
+    };
+
+    function run() {
+      let result = [];
+      if (action === 'select') {
+        result = rows.filter(matches);
+      } else if (action === 'insert') {
+        if (payload.some(row => rows.some(existing => sameKey(existing, row)))) {
+          return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+        }
+        result = payload.map(row => ({ id: nextId++, created_at: new Date().toISOString(), ...structuredClone(row) }));
+        rows.push(...result);
+      } else if (action === 'update') {
+        result = rows.filter(matches);
+        result.forEach(row => Object.assign(row, structuredClone(payload)));
+      } else if (action === 'upsert') {
+        const existing = rows.find(row => sameKey(row, payload));
+        if (existing) {
+          result = [Object.assign(existing, structuredClone(payload))];
+        } else {
+          result = [{ id: nextId++, created_at: new Date().toISOString(), ...structuredClone(payload) }];
+          rows.push(...result);
+        }
+      } else if (action === 'delete') {
+        result = rows.filter(matches);
+        tables[table] = rows.filter(row => !matches(row));
+      }
+
+      if (order) {
+        const { column, ascending } = order;
+        result = [...result].sort((a, b) => String(a[column]).localeCompare(String(b[column])) * (ascending ? 1 : -1));
+      }
+      const data = result.map(project);
+      if (!single) return { data, error: null };
+      if (data.length !== 1) return { data: null, error: { code: 'PGRST116', message: 'no rows' } };
+      return { data: data[0], error: null };
+    }
+
+    const builder = {
+      select(selected = '*') { columns = selected; return builder; },
+      insert(values) { action = 'insert'; payload = values; return builder; },
+      update(values) { action = 'update'; payload = values; return builder; },
+      upsert(values) { action = 'upsert'; payload = values; return builder; },
+      delete() { action = 'delete'; return builder; },
+      eq(column, value) { filters.push([column, value]); return builder; },
+      order(column, { ascending = true } = {}) { order = { column, ascending }; return builder; },
+      single() { single = true; return builder; },
+      then(resolve, reject) { return Promise.resolve(run()).then(resolve, reject); }
+    };
+    return builder;
+  }
+
+  return {
+    from: query,
+    storage: {
+      from(bucket) {
+        if (!buckets.has(bucket)) buckets.set(bucket, new Map());
+        const objects = buckets.get(bucket);
+        return {
+          async upload(key, data) {
+            objects.set(key, Buffer.from(data));
+            return { data: { path: key }, error: null };
+          },
+          async download(key) {
+            if (!objects.has(key)) return { data: null, error: { statusCode: '404', message: 'Object not found' } };
+            return { data: new Blob([objects.get(key)]), error: null };
+          }
+        };
+      }
+    }
+  };
+}
+
+const localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexi-storage-'));
+
+const BACKENDS = {
+  memory: () => createMemoryStorage(),
+  local: () => createLocalStorage({ dir: fs.mkdtempSync(path.join(localDir, 'run-')) }),
+  supabase: () => createSupabaseStorage(createFakeSupabase())
+};
+
+before(() => {
+  mock.method(console, 'error', () => {});
+});
+
+after(() => {
+  fs.rmSync(localDir, { recursive: true, force: true });
+});
+
+function conversation(messageCount, fields = {}) {
+  return {
+    username: 'alice',
+    conversation_id: 1,
+    condition: 'C',
+    timestamp: '2026-03-02T10:00:00.000Z',
+    updated_at: '2026-03-02T10:00:00.000Z',
+    total_messages: messageCount,
+    messages: Array.from({ length: messageCount }, (_, i) => ({ sequence: i, role: i % 2 ? 'user' : 'assistant', content: `Turn ${i}` })),
+    ...fields
+  };
+}
+
+for (const [name, createBackend] of Object.entries(BACKENDS)) {
+  describe(`${name} storage`, () => {
+    test('saveConversation only overwrites a record when it has grown', async () => {
+      const storage = createBackend();
+      assert.equal(storage.name, name);
+
+      assert.equal(await storage.saveConversation(conversation(2)), 'inserted');
+      assert.equal(await storage.saveConversation(conversation(2, { usage: { responses: 0 } })), 'skipped');
+      assert.equal(await storage.saveConversation(conversation(4)), 'updated');
+      // A late save from an older snapshot never truncates the transcript
+      assert.equal(await storage.saveConversation(conversation(3)), 'skipped');
+      assert.equal((await storage.loadConversation('alice', 1)).messages.length, 4);
+
+      // Same messages, usage from one more (e.g. cancelled) response
+      assert.equal(await storage.saveConversation(conversation(4, { usage: { responses: 2 } })), 'updated');
+      assert.equal(await storage.saveConversation(conversation(4, { usage: { responses: 1 } })), 'skipped');
+      assert.deepEqual((await storage.loadConversation('alice', 1)).usage, { responses: 2 });
+    });
+
+    test('conversations are listed, loaded and deleted per user', async () => {
+      const storage = createBackend();
+      await storage.saveConversation(conversation(2));
+      await storage.saveConversation(conversation(1, { conversation_id: 2, updated_at: '2026-03-03T10:00:00.000Z' }));
+      await storage.saveConversation(conversation(1, { username: 'bob' }));
+
+      const listed = await storage.listConversations({ username: 'alice' });
+      assert.deepEqual(listed.map(r => r.conversation_id), [2, 1]);
+      assert.ok(listed.every(r => r.messages === undefined));
+      assert.equal((await storage.listConversations({ includeMessages: true })).length, 3);
+      assert.equal((await storage.loadConversation('bob', 1)).messages.length, 1);
+      assert.equal(await storage.loadConversation('alice', 3), null);
+
+      assert.equal(await storage.deleteConversation('alice', 1), true);
+      assert.equal(await storage.deleteConversation('alice', 1), false);
+      assert.equal(await storage.loadConversation('alice', 1), null);
+      assert.ok(await storage.loadConversation('bob', 1));
+    });
+
+    test('createUser rejects an existing username with USER_EXISTS', async () => {
+      const storage = createBackend();
+      const created = await storage.createUser({ username: 'alice', password: 'x', condition: 'C' });
+      assert.equal(created.username, 'alice');
+      assert.ok(created.created_at);
+
+      await assert.rejects(storage.createUser({ username: 'alice', password: 'y' }), { code: 'USER_EXISTS' });
+      assert.equal((await storage.getUser('alice')).password, 'x');
+
+      assert.equal((await storage.updateUser('alice', { condition: 'V' })).condition, 'V');
+      assert.equal(await storage.updateUser('nobody', { condition: 'V' }), null);
+      assert.equal(await storage.getUser('nobody'), null);
+      await storage.createUser({ username: 'aaron', password: 'z' });
+      assert.deepEqual((await storage.listUsers()).map(u => u.username), ['aaron', 'alice']);
+    });
+
+    test('saveReflection upserts per conversation and keeps created_at', async () => {
+      const storage = createBackend();
+      assert.equal(await storage.loadReflection('alice', 1), null);
+
+      const first = await storage.saveReflection({ username: 'alice', conversation_id: 1, content: 'Draft', updated_at: 'a' });
+      assert.ok(first.created_at);
+      const second = await storage.saveReflection({ username: 'alice', conversation_id: 1, content: 'Edited', updated_at: 'b' });
+      assert.equal(second.created_at, first.created_at);
+      await storage.saveReflection({ username: 'alice', conversation_id: 2, content: 'Other' });
+
+      const loaded = await storage.loadReflection('alice', 1);
+      assert.equal(loaded.content, 'Edited');
+      assert.equal(loaded.created_at, first.created_at);
+      assert.equal((await storage.loadReflection('alice', 2)).content, 'Other');
+      assert.equal(await storage.loadReflection('bob', 1), null);
+    });
+
+    test('audio round-trips by key and keys cannot leave the archive', async () => {
+      const storage = createBackend();
+      const wav = Buffer.from('RIFF....WAVE');
+      assert.equal(await storage.saveAudio('alice/1/item_abc-user.wav', wav), 'alice/1/item_abc-user.wav');
+      assert.deepEqual(await storage.loadAudio('alice/1/item_abc-user.wav'), wav);
+      assert.equal(await storage.loadAudio('alice/1/missing-user.wav'), null);
+
+      for (const key of ['../escape.wav', 'alice/../../escape.wav', '/tmp/escape.wav', 'alice//x.wav', 'alice/./x.wav', 'alice\\..\\x.wav', '']) {
+        await assert.rejects(storage.saveAudio(key, wav), { code: 'INVALID_AUDIO_KEY' }, `save ${JSON.stringify(key)}`);
+        await assert.rejects(storage.loadAudio(key), { code: 'INVALID_AUDIO_KEY' }, `load ${JSON.stringify(key)}`);
+      }
+      assert.equal(fs.existsSync(path.join(localDir, 'escape.wav')), false);
+    });
+  });
+}
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildStudySummary, summarizeConversation, summaryToCsv } from '../lib/summary.js';
+
+const users = [
+  { username: 'alice', condition: 'C' },
+  { username: 'bob', condition: 'V' },
+  { username: 'carol', condition: 'C' },
+  { username: 'researcher', condition: 'C', role: 'admin' }
+];
+
+const conversations = [
+  {
+    username: 'alice',
+    conversation_id: 1,
+    condition: 'C',
+    updated_at: '2026-03-02T10:05:00.000Z',
+    messages: [
+      { role: 'assistant', content: 'Hi', timestamp: '2026-03-02T10:00:00.000Z' },
+      { role: 'user', content: 'Hello', timestamp: '2026-03-02T10:00:30.000Z' },
+      { role: 'assistant', content: 'So...', timestamp: '2026-03-02T10:01:00.000Z', interrupted: true },
+      { role: 'user', content: 'Wait', timestamp: '2026-03-02T10:02:05.000Z' }
+    ]
+  },
+  {
+    username: 'bob',
+    conversation_id: 2,
+    updated_at: '2026-03-05T09:00:00.000Z',
+    messages: [{ role: 'assistant', content: 'Hi', timestamp: '2026-03-05T08:59:00.000Z' }]
+  }
+];
+
+test('summarizeConversation counts turns, interruptions and duration', () => {
+  const row = summarizeConversation(conversations[0]);
+  assert.equal(row.duration_seconds, 125);
+  assert.equal(row.total_messages, 4);
+  assert.equal(row.user_messages, 2);
+  assert.equal(row.assistant_messages, 2);
+  assert.equal(row.interruptions, 1);
+  assert.equal(row.started_at, '2026-03-02T10:00:00.000Z');
+  assert.equal(row.last_activity, '2026-03-02T10:05:00.000Z');
+});
+
+test('buildStudySummary lists participants who have not started and fills in conditions', () => {
+  const summary = buildStudySummary({ users, conversations });
+  assert.deepEqual(summary.rows.map(r => [r.username, r.condition, r.conversation_id]), [
+    ['alice', 'C', 1],
+    ['bob', 'V', 2],
+    ['carol', 'C', undefined]
+  ]);
+  assert.equal(summary.totals.participants, 3);
+  assert.equal(summary.totals.conversations, 2);
+  assert.deepEqual(
+    Object.entries(summary.totals.by_condition).map(([id, c]) => [id, c.participants, c.conversations]),
+    [['C', 2, 1], ['V', 1, 1]]
+  );
+});
+
+test('buildStudySummary matches users to conversations by their sanitized username', () => {
+  const summary = buildStudySummary({
+    users: [
+      { username: 'anna.m@uni.de', condition: 'V' },
+      { username: 'dr.admin', condition: 'C', role: 'admin' }
+    ],
+    conversations: [
+      { username: 'anna_m_uni_de', conversation_id: 1, messages: [{ role: 'user', content: 'Hi', timestamp: '2026-03-02T10:00:00.000Z' }] },
+      { username: 'dr_admin', conversation_id: 2, messages: [{ role: 'user', content: 'Test', timestamp: '2026-03-02T11:00:00.000Z' }] }
+    ]
+  });
+  assert.deepEqual(summary.rows.map(r => [r.username, r.condition, r.conversation_id]), [['anna_m_uni_de', 'V', 1]]);
+  assert.equal(summary.totals.participants, 1);
+});
+
+test('summary rows and condition totals carry latency metrics', () => {
+  const withMetrics = [{
+    username: 'alice',
+    conversation_id: 3,
+    condition: 'C',
+    messages: [
+      { role: 'user', content: 'a', metrics: { speaking_ms: 4000 } },
+      { role: 'assistant', content: 'b', metrics: { response_latency_ms: 300, first_audio_ms: 700, audio_ms: 2000 } },
+      { role: 'user', content: 'c', metrics: { speaking_ms: 2500 } },
+      { role: 'assistant', content: 'd', metrics: { response_latency_ms: 500, first_audio_ms: 900, audio_ms: 1500 } }
+    ]
+  }];
+  const summary = buildStudySummary({ users, conversations: withMetrics, condition: 'C' });
+  const row = summary.rows.find(r => r.conversation_id === 3);
+  assert.equal(row.median_first_audio_ms, 900);
+  assert.equal(row.user_speaking_seconds, 7);
+  assert.equal(row.assistant_audio_seconds, 4);
+  assert.equal(summary.totals.by_condition.C.first_audio_ms.mean, 800);
+});
+
+test('buildStudySummary filters by condition and inclusive date range', () => {
+  assert.deepEqual(
+    buildStudySummary({ users, conversations, condition: 'C' }).rows.map(r => r.username),
+    ['alice', 'carol']
+  );
+  assert.deepEqual(
+    buildStudySummary({ users, conversations, from: '2026-03-05', to: '2026-03-05' }).rows.map(r => r.username),
+    ['bob']
+  );
+});
+
+test('summaryToCsv quotes separators and neutralises formulas', () => {
+  const csv = summaryToCsv([{ username: '=cmd', condition: 'C', conversation_id: 'a,b', total_messages: 0 }]);
+  const [header, row] = csv.trim().split('\r\n');
+  assert.match(header, /^Participant,Condition,Locale,Conversation,/);
+  assert.match(row, /^'=cmd,C,,"a,b",/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeClientTurns } from '../lib/transcript-sync.js';
+
+test('missing turns are inserted in sequence order and marked as recovered', () => {
+  const messages = [
+    { sequence: 0, role: 'assistant', content: 'Hello.' },
+    { sequence: 3, role: 'user', content: 'Later answer.' },
+    { sequence: 5, role: 'user', content: 'Last answer.' }
+  ];
+  const added = mergeClientTurns(messages, [
+    { sequence: 4, role: 'user', content: 'Spoken answer.', input_modality: 'voice' },
+    { sequence: 1, role: 'user', content: 'Typed answer.', input_modality: 'text', timestamp: '2026-01-01T10:00:00.000Z' }
+  ], 6);
+
+  assert.deepEqual(added.map(m => m.sequence), [4, 1]);
+  assert.deepEqual(messages.map(m => m.sequence), [0, 1, 3, 4, 5]);
+  assert.deepEqual(messages[1], {
+    sequence: 1,
+    role: 'user',
+    content: 'Typed answer.',
+    timestamp: '2026-01-01T10:00:00.000Z',
+    input_modality: 'text',
+    recovered: true
+  });
+  assert.equal(messages[3].timestamp, null);
+  assert.equal(messages[3].input_modality, 'voice');
+});
+
+test('the server copy wins and malformed turns are skipped', () => {
+  const messages = [{ sequence: 0, role: 'user', content: 'Server copy.' }];
+  const added = mergeClientTurns(messages, [
+    { sequence: 0, role: 'user', content: 'Client copy.' },
+    { sequence: 1, role: 'system', content: 'Not a participant turn.' },
+    { sequence: -1, role: 'user', content: 'Bad sequence.' },
+    { sequence: 2, role: 'user', content: '   ' },
+    { sequence: 3, role: 'user', content: 'Duplicate.' },
+    { sequence: 3, role: 'user', content: 'Duplicate again.' },
+    null
+  ], 4);
+
+  assert.deepEqual(added.map(m => m.content), ['Duplicate.']);
+  assert.deepEqual(messages.map(m => m.content), ['Server copy.', 'Duplicate.']);
+  assert.deepEqual(mergeClientTurns(messages, 'not a list', 4), []);
+});
+
+test('facilitator turns and sequences the server never issued are refused', () => {
+  const messages = [
+    { sequence: 0, role: 'assistant', content: 'Hello.' },
+    { sequence: 2, role: 'assistant', content: 'And then?' }
+  ];
+  const added = mergeClientTurns(messages, [
+    { sequence: 1, role: 'assistant', content: 'A forged facilitator turn.' },
+    { sequence: 3, role: 'user', content: 'Numbered past the server.' },
+    { sequence: 1e15, role: 'user', content: 'Far past the server.' }
+  ], 3);
+
+  assert.deepEqual(added, []);
+  assert.deepEqual(messages.map(m => m.sequence), [0, 2]);
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addUsage, buildUsageReport, DEFAULT_PRICING, resolvePricing, usageCost, usageFromResponse } from '../lib/usage.js';
+
+const usage = (tokens) => ({
+  responses: 1,
+  text_input_tokens: tokens,
+  text_cached_tokens: 0,
+  text_output_tokens: 0,
+  audio_input_tokens: 0,
+  audio_cached_tokens: 0,
+  audio_output_tokens: tokens
+});
+
+const users = [
+  { username: 'alice', condition: 'C' },
+  { username: 'bob', condition: 'V' },
+  { username: 'researcher', condition: 'C', role: 'admin' }
+];
+
+const conversations = [
+  {
+    username: 'alice',
+    conversation_id: 1,
+    usage: usage(1000),
+    messages: [{ role: 'assistant', content: 'Hi', timestamp: '2026-03-02T10:00:00.000Z' }]
+  },
+  {
+    username: 'alice',
+    conversation_id: 2,
+    usage: usage(3000),
+    messages: [{ role: 'assistant', content: 'Hi', timestamp: '2026-03-03T10:00:00.000Z' }]
+  },
+  {
+    username: 'bob',
+    conversation_id: 3,
+    usage: usage(2000),
+    messages: [{ role: 'assistant', content: 'Hi', timestamp: '2026-03-02T12:00:00.000Z' }]
+  },
+  {
+    username: 'bob',
+    conversation_id: 4,
+    messages: [{ role: 'assistant', content: 'Hi', timestamp: '2026-03-01T12:00:00.000Z' }]
+  },
+  {
+    username: 'researcher',
+    conversation_id: 5,
+    usage: usage(9000),
+    messages: [{ role: 'assistant', content: 'Hi', timestamp: '2026-03-02T12:00:00.000Z' }]
+  }
+];
+
+test('resolvePricing merges overrides from an object or JSON and rejects bad prices', () => {
+  assert.deepEqual(resolvePricing(undefined), DEFAULT_PRICING);
+  assert.equal(resolvePricing({ audio_output: 20 }).audio_output, 20);
+  assert.equal(resolvePricing('{"text_input": 4}').text_input, 4);
+  assert.equal(resolvePricing('{"text_input": 4}').audio_input, DEFAULT_PRICING.audio_input);
+
+  for (const value of ['{nope', '[]', { audio: 1 }, { text_input: -1 }, { text_input: '5' }]) {
+    assert.throws(() => resolvePricing(value), { code: 'INVALID_PRICING' });
+  }
+});
+
+test('usageFromResponse flattens the token details and splits cached tokens', () => {
+  assert.equal(usageFromResponse(undefined), null);
+
+  assert.deepEqual(usageFromResponse({
+    input_token_details: {
+      text_tokens: 120,
+      audio_tokens: 300,
+      cached_tokens: 200,
+      cached_tokens_details: { text_tokens: 100, audio_tokens: 100 }
+    },
+    output_token_details: { text_tokens: 15, audio_tokens: 60 }
+  }), {
+    text_input_tokens: 120,
+    text_cached_tokens: 100,
+    text_output_tokens: 15,
+    audio_input_tokens: 300,
+    audio_cached_tokens: 100,
+    audio_output_tokens: 60
+  });
+
+  // Without the split, cached tokens count against text first
+  const split = usageFromResponse({ input_token_details: { text_tokens: 50, audio_tokens: 300, cached_tokens: 80 } });
+  assert.equal(split.text_cached_tokens, 50);
+  assert.equal(split.audio_cached_tokens, 30);
+  assert.equal(split.text_output_tokens, 0);
+});
+
+test('addUsage sums token counts and responses', () => {
+  const total = addUsage(addUsage(null, usage(10)), usage(5));
+  assert.equal(total.responses, 2);
+  assert.equal(total.text_input_tokens, 15);
+  assert.equal(total.audio_cached_tokens, 0);
+});
+
+test('usageCost bills cached input at the cached price', () => {
+  const cost = usageCost({
+    text_input_tokens: 1_000_000,
+    text_cached_tokens: 400_000,
+    audio_input_tokens: 100_000,
+    audio_cached_tokens: 100_000,
+    audio_output_tokens: 10_000
+  });
+  // 0.6M * $5 + 0.4M * $2.5 + 0.1M * $2.5 + 0.01M * $80
+  assert.equal(cost, 3 + 1 + 0.25 + 0.8);
+  assert.equal(usageCost(usage(1_000_000), { ...DEFAULT_PRICING, text_input: 1, audio_output: 1 }), 2);
+});
+
+test('buildUsageReport groups by user, condition and day without admins', () => {
+  const byUser = buildUsageReport({ users, conversations });
+  assert.equal(byUser.group_by, 'user');
+  assert.deepEqual(byUser.rows.map(row => [row.user, row.conversations, row.text_input_tokens]), [
+    ['alice', 2, 4000],
+    ['bob', 1, 2000]
+  ]);
+  assert.equal(byUser.totals.conversations, 3);
+  assert.equal(byUser.totals.untracked_conversations, 1);
+  assert.equal(byUser.totals.responses, 3);
+  assert.equal(byUser.totals.cost_usd, usageCost(usage(6000)));
+  assert.equal(byUser.rows[0].cost_usd, usageCost(usage(4000)));
+
+  const byCondition = buildUsageReport({ users, conversations, groupBy: 'condition' });
+  assert.deepEqual(byCondition.rows.map(row => [row.condition, row.conversations]), [['C', 2], ['V', 1]]);
+
+  const byDay = buildUsageReport({ users, conversations, groupBy: 'day', from: '2026-03-02', to: '2026-03-02' });
+  assert.deepEqual(byDay.rows.map(row => [row.day, row.conversations, row.audio_output_tokens]), [['2026-03-02', 2, 3000]]);
+  assert.equal(byDay.totals.untracked_conversations, 0);
+
+  const filtered = buildUsageReport({ users, conversations, condition: 'V', pricing: resolvePricing({ audio_output: 0 }) });
+  assert.deepEqual(filtered.rows.map(row => row.user), ['bob']);
+  assert.equal(filtered.totals.cost_usd, 0.01);
+  assert.equal(filtered.pricing.audio_output, 0);
+});
+
+test('buildUsageReport matches users to conversations by their sanitized username', () => {
+  const report = buildUsageReport({
+    users: [
+      { username: 'anna.m@uni.de', condition: 'V' },
+      { username: 'dr.admin', condition: 'C', role: 'admin' }
+    ],
+    conversations: [
+      { username: 'anna_m_uni_de', conversation_id: 1, usage: usage(100), messages: [] },
+      { username: 'dr_admin', conversation_id: 2, usage: usage(900), messages: [] }
+    ],
+    groupBy: 'condition'
+  });
+  assert.deepEqual(report.rows.map(row => [row.condition, row.conversations]), [['V', 1]]);
+  assert.equal(report.totals.text_input_tokens, 100);
+});